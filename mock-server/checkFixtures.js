@@ -0,0 +1,94 @@
+// checkFixtures.js
+/**
+ * Runs the app's own data helpers against the mock server and the sample fixtures, so a change
+ * to either that breaks them shows up without a browser. Exits non-zero on the first failure.
+ *
+ * Usage: node mock-server/checkFixtures.js
+ */
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+import { loadFixtures, createFixtureHandler, createMockServer } from './mockGeotabServer.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const checks = [
+    ['fetchFaultCodes returns the fixture faults for b1', async ({ vehicleUtils, sessionInfo }) => {
+        const faults = await vehicleUtils.fetchFaultCodes(sessionInfo, 'b1');
+        assert.ok(faults.length > 0, 'expected fault codes for b1');
+    }],
+    ['fetchFaultCodes passes on the permission error for b2', async ({ vehicleUtils, sessionInfo }) => {
+        await assert.rejects(vehicleUtils.fetchFaultCodes(sessionInfo, 'b2'), /permission/i);
+    }],
+    ['fetchOdometer reads the odometer of b1', async ({ vehicleUtils, sessionInfo }) => {
+        assert.equal(typeof await vehicleUtils.fetchOdometer(sessionInfo, 'b1'), 'number');
+    }],
+    ['fetchOdometer gives null when b2 has no reading', async ({ vehicleUtils, sessionInfo }) => {
+        assert.equal(await vehicleUtils.fetchOdometer(sessionInfo, 'b2'), null);
+    }],
+    ['fetchAccelerometerData falls back to the alternative diagnostics', async ({ vehicleUtils, sessionInfo }) => {
+        const toDate = new Date().toISOString();
+        const fromDate = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+        const readings = await vehicleUtils.fetchAccelerometerData(sessionInfo, 'b1', fromDate, toDate);
+        assert.ok(readings.length > 0, 'expected readings from DiagnosticAccelerometerReverseGId');
+    }],
+    ['every clearance identifier the app knows appears in a fixture clearance', async ({ permissions, fixtures }) => {
+        const known = new Set(fixtures
+            .filter(fixture => fixture.method === 'Get' && fixture.params?.typeName === 'Group')
+            .flatMap(fixture => fixture.result || [])
+            .flatMap(group => group.securityFilters || [])
+            .map(filter => filter.securityIdentifier));
+        const missing = Object.values(permissions.CAPABILITIES)
+            .flatMap(capability => capability.identifiers)
+            .filter(identifier => !known.has(identifier));
+        assert.deepEqual(missing, [], `not in any fixture clearance: ${missing.join(', ')}`);
+    }],
+    ['loadCapabilities applies the security filters of a custom clearance', async ({ permissions, sessionInfo }) => {
+        const { capabilities, clearance } = await permissions.loadCapabilities(sessionInfo);
+        assert.equal(clearance, 'Dispatcher');
+        assert.deepEqual(capabilities, { ...permissions.FULL_ACCESS, editZones: false });
+    }],
+];
+
+const fixtures = loadFixtures(path.join(root, 'mock-server/fixtures'));
+const mockServer = createMockServer(createFixtureHandler(fixtures, 'error'));
+await new Promise(resolve => mockServer.listen(0, resolve));
+const server = `localhost:${mockServer.address().port}`;
+
+// Vite resolves the app's extensionless imports the same way the dev server does
+const vite = await createServer({
+    root,
+    logLevel: 'error',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true },
+});
+let failures = 0;
+
+try {
+    const vehicleUtils = await vite.ssrLoadModule('/src/components/vehicleUtils.js');
+    const permissions = await vite.ssrLoadModule('/src/components/permissions.js');
+    const { authenticate } = await vite.ssrLoadModule('/src/components/geotabClient.js');
+    const { credentials } = await authenticate(server, { userName: 'check', password: 'check', database: 'mock' });
+    const sessionInfo = { server, ...credentials };
+
+    // The helpers log the errors they handle; only the outcome matters here
+    const { warn, error } = console;
+    for (const [name, check] of checks) {
+        try {
+            console.warn = console.error = () => {};
+            await check({ vehicleUtils, permissions, fixtures, sessionInfo });
+            console.log(`ok   ${name}`);
+        } catch (err) {
+            failures++;
+            console.log(`FAIL ${name}: ${err.message}`);
+        } finally {
+            Object.assign(console, { warn, error });
+        }
+    }
+} finally {
+    await vite.close();
+    mockServer.close();
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,326 @@
+// mockGeotabServer.js
+/**
+ * Mock of the Geotab JSON-RPC endpoint (/apiv1/) so the app and tests can run offline.
+ * Replays responses from fixture files, or records real responses from a Geotab server into them.
+ *
+ * Replay:  node mock-server/mockGeotabServer.js [--port 8787] [--fixtures <file or dir>] [--unmatched error|empty|demo]
+ * Record:  node mock-server/mockGeotabServer.js --record my.geotab.com [--fixtures <file>]
+ *
+ * Then log in to server "localhost:8787" with any user name and password.
+ */
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { handleDemoRequest } from '../src/components/demoFleet.js';
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const MOCK_SESSION_ID = 'mock-session';
+
+// Dates are usually computed from the current time, so they are ignored when nothing matches exactly
+const DATE_PARAMS = ['fromDate', 'toDate', 'fromVersion'];
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+function withoutCredentials(params = {}) {
+    return Object.fromEntries(Object.entries(params).filter(([key]) => key !== 'credentials' && key !== 'password'));
+}
+
+function withoutDates(value) {
+    if (Array.isArray(value)) return value.map(withoutDates);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !DATE_PARAMS.includes(key))
+            .map(([key, item]) => [key, withoutDates(item)]));
+    }
+    return value;
+}
+
+/**
+ * True when every key of the fixture's params matches the request, so fixtures can leave out
+ * parameters they don't care about.
+ */
+function matches(fixtureParams, requestParams) {
+    if (fixtureParams && typeof fixtureParams === 'object' && !Array.isArray(fixtureParams)) {
+        return requestParams && typeof requestParams === 'object' &&
+            Object.keys(fixtureParams).every(key => matches(fixtureParams[key], requestParams[key]));
+    }
+    return stableStringify(fixtureParams) === stableStringify(requestParams);
+}
+
+function countKeys(value) {
+    if (!value || typeof value !== 'object') return 0;
+    return Object.values(value).reduce((sum, item) => sum + 1 + countKeys(item), 0);
+}
+
+function rpcError(type, message, data = {}) {
+    return {
+        name: 'JSONRPCError',
+        message,
+        code: -32000,
+        errors: [{ name: type, message }],
+        data: { type, ...data },
+    };
+}
+
+/**
+ * Fixture errors may be written as { type, message } for brevity.
+ */
+function toRpcError(error) {
+    return error.errors ? error : rpcError(error.type || error.name, error.message || error.type);
+}
+
+class FixtureError extends Error {
+    constructor(error) {
+        super(error.message);
+        this.rpcError = error;
+    }
+}
+
+/**
+ * Reads fixtures from a JSON file, or from every JSON file in a directory.
+ * Each file holds { fixtures: [{ method, params, result | error }] }.
+ */
+export function loadFixtures(location) {
+    if (!fs.existsSync(location)) return [];
+
+    const files = fs.statSync(location).isDirectory()
+        ? fs.readdirSync(location).filter(file => file.endsWith('.json')).map(file => path.join(location, file))
+        : [location];
+
+    return files.flatMap(file => {
+        const { fixtures = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return fixtures;
+    });
+}
+
+function findFixture(fixtures, method, params) {
+    const candidates = fixtures.filter(fixture => fixture.method === method);
+    const best = list => list.sort((a, b) => countKeys(b.params) - countKeys(a.params))[0];
+
+    const exact = candidates.filter(fixture => matches(fixture.params || {}, params));
+    if (exact.length) return best(exact);
+
+    const requestWithoutDates = withoutDates(params);
+    return best(candidates.filter(fixture => matches(withoutDates(fixture.params || {}), requestWithoutDates)));
+}
+
+/**
+ * Answers JSON-RPC request bodies from fixtures.
+ * @param {Array<Object>} fixtures - Loaded fixtures (see loadFixtures).
+ * @param {string} unmatched - What to do without a fixture: 'error', 'empty' or 'demo' (use the demo fleet).
+ */
+export function createFixtureHandler(fixtures, unmatched = 'error') {
+    const resolve = async (method, params, credentials) => {
+        const fixture = findFixture(fixtures, method, withoutCredentials(params));
+        if (fixture) {
+            if (fixture.error) throw new FixtureError(toRpcError(fixture.error));
+            return fixture.result;
+        }
+
+        if (unmatched === 'demo') {
+            const response = await handleDemoRequest({ method, params: { ...params, credentials } });
+            if (response.error) throw new FixtureError(response.error);
+            return response.result;
+        }
+        if (unmatched === 'empty') {
+            if (method === 'GetFeed') return { data: [], toVersion: params.fromVersion || '0' };
+            if (method === 'GetCountOf') return 0;
+            return [];
+        }
+        const summary = `${method} ${params.typeName || ''} ${JSON.stringify(withoutCredentials(params))}`;
+        throw new FixtureError(rpcError('MissingFixtureException', `No fixture for ${summary}`));
+    };
+
+    return async ({ method, params = {}, id } = {}) => {
+        try {
+            if (method === 'Authenticate') {
+                const fixture = findFixture(fixtures, method, withoutCredentials(params));
+                if (fixture?.error) throw new FixtureError(toRpcError(fixture.error));
+                // Any password is accepted
+                return {
+                    jsonrpc: '2.0',
+                    id,
+                    result: fixture?.result ?? {
+                        credentials: { database: params.database, userName: params.userName, sessionId: MOCK_SESSION_ID },
+                        path: 'ThisServer',
+                    },
+                };
+            }
+
+            const { credentials } = params;
+            if (!credentials?.sessionId) {
+                throw new FixtureError(rpcError('InvalidUserException', 'Incorrect login credentials'));
+            }
+
+            if (method === 'MultiCall') {
+                const results = [];
+                for (const [requestIndex, call] of (params.calls || []).entries()) {
+                    try {
+                        results.push(await resolve(call.method, call.params || {}, credentials));
+                    } catch (err) {
+                        // Like Geotab, fail the whole MultiCall and say which call failed
+                        if (err instanceof FixtureError) {
+                            err.rpcError = { ...err.rpcError, data: { ...err.rpcError.data, requestIndex } };
+                        }
+                        throw err;
+                    }
+                }
+                return { jsonrpc: '2.0', id, result: results };
+            }
+
+            return { jsonrpc: '2.0', id, result: await resolve(method, params, credentials) };
+        } catch (err) {
+            if (!(err instanceof FixtureError)) throw err;
+            return { jsonrpc: '2.0', id, error: err.rpcError };
+        }
+    };
+}
+
+/**
+ * Forwards requests to a real Geotab server and saves the responses as fixtures,
+ * without passwords or session ids.
+ * @param {string} target - Geotab server host (e.g. my.geotab.com).
+ * @param {string} file - Fixture file to write.
+ */
+export function createRecordingHandler(target, file) {
+    const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).fixtures || [] : [];
+    const fixtures = new Map(existing.map(fixture => [`${fixture.method} ${stableStringify(fixture.params)}`, fixture]));
+
+    // Database -> the server Authenticate sent it to, for federated databases
+    const servers = new Map();
+
+    const save = (method, params, outcome) => {
+        const fixture = { method, params: withoutCredentials(params), ...outcome };
+        fixtures.set(`${method} ${stableStringify(fixture.params)}`, fixture);
+    };
+
+    return async (body) => {
+        const { method, params = {} } = body;
+        const server = (method !== 'Authenticate' && servers.get(params.credentials?.database)) || target;
+
+        const response = await fetch(`https://${server}/apiv1/`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const data = await response.json();
+
+        if (method === 'Authenticate') {
+            if (data.result) {
+                const { credentials } = data.result;
+                // The app would follow path straight to the federated server and bypass the recorder,
+                // so it is told to stay here and its calls are forwarded on instead
+                if (data.result.path && data.result.path !== 'ThisServer') {
+                    servers.set(credentials.database, new URL(`https://${data.result.path.replace(/^https?:\/\//i, '')}`).host);
+                    data.result.path = 'ThisServer';
+                }
+                // Replay is always local, and the session id must never end up in a fixture
+                save(method, { userName: params.userName, database: params.database }, {
+                    result: {
+                        credentials: { database: credentials.database, userName: credentials.userName, sessionId: MOCK_SESSION_ID },
+                        path: 'ThisServer',
+                    },
+                });
+            }
+        } else if (method === 'MultiCall') {
+            // Saved call by call, so replay works whether or not the app batches them
+            if (data.result) {
+                (params.calls || []).forEach((call, index) => save(call.method, call.params, { result: data.result[index] }));
+            }
+        } else {
+            save(method, params, data.error ? { error: data.error } : { result: data.result });
+        }
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify({ fixtures: Array.from(fixtures.values()) }, null, 2)}\n`);
+        return data;
+    };
+}
+
+/**
+ * Creates the HTTP server (not yet listening).
+ * @param {Function} handler - (requestBody) => Promise resolving to the response body.
+ * @returns {http.Server} The server
+ */
+export function createMockServer(handler) {
+    return http.createServer(async (req, res) => {
+        // The app is served from another origin (Vite dev server)
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204).end();
+            return;
+        }
+        if (req.method !== 'POST' || !/^\/apiv1\/?$/.test(req.url)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Only POST /apiv1/ is supported');
+            return;
+        }
+
+        let body = '';
+        for await (const chunk of req) body += chunk;
+
+        let request;
+        try {
+            request = JSON.parse(body);
+        } catch {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', error: rpcError('JsonSerializerException', 'Invalid JSON in request') }));
+            return;
+        }
+
+        try {
+            const response = await handler(request);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response));
+        } catch (err) {
+            console.error(`${request.method} failed:`, err);
+            res.writeHead(500, { 'Content-Type': 'text/plain' }).end(err.message);
+        }
+    });
+}
+
+function parseArgs(args) {
+    const options = { port: DEFAULT_PORT, fixtures: DEFAULT_FIXTURES, unmatched: 'error', record: null };
+    for (let i = 0; i < args.length; i++) {
+        const name = args[i].replace(/^--/, '');
+        if (name in options) {
+            options[name] = args[++i];
+        } else {
+            throw new Error(`Unknown option ${args[i]}`);
+        }
+    }
+    options.port = Number(options.port);
+    return options;
+}
+
+// Run from the command line
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const options = parseArgs(process.argv.slice(2));
+
+    let handler;
+    if (options.record) {
+        const file = options.fixtures.endsWith('.json') ? options.fixtures : path.join(options.fixtures, 'recorded.json');
+        handler = createRecordingHandler(options.record, file);
+        console.log(`Recording ${options.record} into ${file}`);
+    } else {
+        const fixtures = loadFixtures(options.fixtures);
+        handler = createFixtureHandler(fixtures, options.unmatched);
+        console.log(`Replaying ${fixtures.length} fixtures from ${options.fixtures} (unmatched calls: ${options.unmatched})`);
+    }
+
+    createMockServer(handler).listen(options.port, () => {
+        console.log(`Mock Geotab API on http://localhost:${options.port}/apiv1/ - log in to server "localhost:${options.port}"`);
+    });
+}
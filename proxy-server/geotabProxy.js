@@ -0,0 +1,320 @@
+// geotabProxy.js
+/**
+ * Small backend that keeps Geotab credentials out of the browser. It performs Authenticate
+ * itself, keeps the Geotab session id server-side behind an HttpOnly cookie, and forwards
+ * whitelisted JSON-RPC calls with the real credentials added.
+ *
+ * Usage: node proxy-server/geotabProxy.js [--port 8788]
+ *
+ * Environment:
+ *   GEOTAB_ALLOWED_SERVERS - Comma-separated hosts the proxy may call; '*.' matches subdomains and a
+ *                            host:port entry allows that port (default *.geotab.com)
+ *   PROXY_ALLOWED_METHODS  - Comma-separated JSON-RPC methods to forward (default Get,GetCountOf,GetFeed,Add,Set,Remove)
+ *   PROXY_ALLOWED_ORIGIN   - Origin allowed to call the proxy cross-origin with cookies (default: same origin only)
+ *   PROXY_SESSION_MINUTES  - Idle minutes before a browser session is forgotten (default 60)
+ *   PROXY_SECURE_COOKIE    - Set to 'false' when serving over plain http other than localhost
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_PORT = 8788;
+const COOKIE_NAME = 'geotab_proxy_session';
+const MAX_BODY_SIZE = 1024 * 1024;
+// Handed to the browser in place of the real session id, which never leaves the proxy
+const PROXY_SESSION_ID = 'proxy';
+
+const splitList = (value, fallback) => (value || fallback).split(',').map(item => item.trim()).filter(Boolean);
+
+// Reduces a server to 'host' or 'host:port', or '' for anything else. Whatever the URL parser
+// would read differently from the raw text (a backslash, credentials, a path) is rejected, so
+// the allowlist check and the request that follows always see the same host.
+function normalizeServer(server) {
+    const value = (server || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/\/(apiv1\/?)?$/, '');
+
+    let url;
+    try {
+        url = new URL(`https://${value}`);
+    } catch {
+        return '';
+    }
+    if (!/^[a-z0-9.-]+$/.test(url.hostname) || url.host !== value) return '';
+    return url.host;
+}
+
+// Patterns are host names, optionally with a port; '*.' matches any subdomain. A server with
+// a port only matches a pattern naming that port.
+function isAllowedServer(server, allowedServers) {
+    if (!server) return false;
+    const { hostname, port } = new URL(`https://${server}`);
+
+    return allowedServers.some(pattern => {
+        const [patternHost, patternPort = ''] = pattern.toLowerCase().split(':');
+        if (port !== patternPort) return false;
+        return patternHost.startsWith('*.')
+            ? hostname.endsWith(patternHost.slice(1)) && hostname.length > patternHost.length - 1
+            : hostname === patternHost;
+    });
+}
+
+function isLocalServer(server) {
+    return /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(server);
+}
+
+function getAccountKey({ server, database, userName } = {}) {
+    return [server, database, userName].map(part => String(part || '').toLowerCase()).join('|');
+}
+
+function rpcError(type, message, id) {
+    return {
+        jsonrpc: '2.0',
+        id,
+        error: { name: 'JSONRPCError', message, code: -32000, errors: [{ name: type, message }], data: { type } },
+    };
+}
+
+function parseCookies(header = '') {
+    return Object.fromEntries(header.split(';')
+        .map(part => part.trim().split('='))
+        .filter(([name, value]) => name && value)
+        .map(([name, value]) => [name, decodeURIComponent(value)]));
+}
+
+// A request the client got wrong, answered with its HTTP status rather than blamed on Geotab
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+async function readJson(req) {
+    let body = '';
+    for await (const chunk of req) {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) throw new RequestError(413, 'Request body too large');
+    }
+    try {
+        return JSON.parse(body || '{}');
+    } catch {
+        throw new RequestError(400, 'Invalid JSON in request');
+    }
+}
+
+/**
+ * Creates the proxy HTTP server (not yet listening).
+ * @param {Object} options - { allowedServers, allowedMethods, allowedOrigin, sessionTtl (ms), secureCookie }.
+ * @returns {http.Server} The server
+ */
+export function createProxyServer({
+    allowedServers = ['*.geotab.com'],
+    allowedMethods = ['Get', 'GetCountOf', 'GetFeed', 'Add', 'Set', 'Remove'],
+    allowedOrigin = null,
+    sessionTtl = 60 * 60 * 1000,
+    secureCookie = true,
+} = {}) {
+    // Browser session token -> { accounts: Map(accountKey -> { server, credentials }), lastUsed }
+    const sessions = new Map();
+
+    const getSession = (req) => {
+        const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+        const session = token && sessions.get(token);
+        if (!session) return null;
+        if (Date.now() - session.lastUsed > sessionTtl) {
+            sessions.delete(token);
+            return null;
+        }
+        session.lastUsed = Date.now();
+        return { token, session };
+    };
+
+    const setCookie = (req, res, token, maxAge) => {
+        const secure = secureCookie && !isLocalServer(req.headers.host || '') ? '; Secure' : '';
+        const expiry = maxAge === undefined ? '' : `; Max-Age=${maxAge}`;
+        res.setHeader('Set-Cookie', `${COOKIE_NAME}=${token}; HttpOnly; SameSite=Strict; Path=/${secure}${expiry}`);
+    };
+
+    const forward = async (server, body) => {
+        const protocol = isLocalServer(server) ? 'http' : 'https';
+        const response = await fetch(`${protocol}://${server}/apiv1/`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        return {
+            status: response.status,
+            retryAfter: response.headers.get('retry-after'),
+            data: await response.json(),
+        };
+    };
+
+    const authenticate = async (req, res, { params = {}, id }) => {
+        const server = normalizeServer(params.server);
+        if (!isAllowedServer(server, allowedServers)) {
+            return { data: rpcError('ArgumentException', `Server ${server || '(none)'} is not allowed by this proxy`, id) };
+        }
+
+        const { database, userName, password } = params;
+        const reply = await forward(server, { jsonrpc: '2.0', method: 'Authenticate', params: { database, userName, password }, id });
+        const result = reply.data.result;
+        if (!result?.credentials) return reply;
+
+        // Federated databases live on another server, which must be allowed as well
+        const resolved = result.path && result.path !== 'ThisServer' ? normalizeServer(result.path) : server;
+        if (!isAllowedServer(resolved, allowedServers)) {
+            return { data: rpcError('ArgumentException', `Server ${resolved || result.path} is not allowed by this proxy`, id) };
+        }
+
+        let current = getSession(req);
+        if (!current) {
+            const token = crypto.randomBytes(32).toString('base64url');
+            current = { token, session: { accounts: new Map(), lastUsed: Date.now() } };
+            sessions.set(token, current.session);
+        }
+        current.session.accounts.set(getAccountKey({ server: resolved, database, userName }), {
+            server: resolved,
+            credentials: result.credentials,
+        });
+        setCookie(req, res, current.token);
+
+        return {
+            data: {
+                jsonrpc: '2.0',
+                id,
+                result: {
+                    ...result,
+                    credentials: { database: result.credentials.database, userName: result.credentials.userName, sessionId: PROXY_SESSION_ID },
+                },
+            },
+        };
+    };
+
+    const call = async (req, { method, params = {}, id }) => {
+        const calls = method === 'MultiCall' ? params.calls || [] : [{ method }];
+        const blocked = calls.find(item => !allowedMethods.includes(item.method));
+        if (blocked) {
+            return { data: rpcError('MethodNotAllowedException', `${blocked.method} is not allowed by this proxy`, id) };
+        }
+
+        // The browser names the account it means; the proxy supplies its credentials
+        const current = getSession(req);
+        const accountKey = getAccountKey(params.credentials);
+        const account = current?.session.accounts.get(accountKey);
+        if (!account) {
+            return { data: rpcError('InvalidUserException', 'Incorrect login credentials', id) };
+        }
+
+        const reply = await forward(account.server, {
+            jsonrpc: '2.0',
+            method,
+            params: { ...params, credentials: account.credentials },
+            id,
+        });
+        if (reply.data.error?.errors?.some(error => error.name === 'InvalidUserException')) {
+            current.session.accounts.delete(accountKey);
+        }
+        return reply;
+    };
+
+    const logout = async (req, res) => {
+        const current = getSession(req);
+        if (!current) return;
+
+        const { server, database, userName } = await readJson(req);
+        if (userName) {
+            current.session.accounts.delete(getAccountKey({ server: normalizeServer(server), database, userName }));
+        } else {
+            current.session.accounts.clear();
+        }
+        if (current.session.accounts.size === 0) {
+            sessions.delete(current.token);
+            setCookie(req, res, '', 0);
+        }
+    };
+
+    const pruneInterval = setInterval(() => {
+        const now = Date.now();
+        sessions.forEach((session, token) => {
+            if (now - session.lastUsed > sessionTtl) sessions.delete(token);
+        });
+    }, 60 * 1000);
+    pruneInterval.unref();
+
+    const server = http.createServer(async (req, res) => {
+        if (allowedOrigin && req.headers.origin === allowedOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+            res.setHeader('Access-Control-Allow-Credentials', 'true');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+            res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+            res.setHeader('Vary', 'Origin');
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204).end();
+            return;
+        }
+
+        const route = req.url.split('?')[0].replace(/\/$/, '');
+        // Requiring JSON forces a CORS preflight, so other sites can't post forms with our cookie
+        if (req.method !== 'POST' || !(req.headers['content-type'] || '').startsWith('application/json') ||
+            !['/apiv1', '/logout'].includes(route)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Only POST /apiv1/ and /logout with JSON are supported');
+            return;
+        }
+
+        try {
+            if (route === '/logout') {
+                await logout(req, res);
+                res.writeHead(204).end();
+                return;
+            }
+
+            const body = await readJson(req);
+            const reply = body.method === 'Authenticate'
+                ? await authenticate(req, res, body)
+                : await call(req, body);
+
+            if (reply.retryAfter) res.setHeader('Retry-After', reply.retryAfter);
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply.data));
+        } catch (err) {
+            if (err instanceof RequestError) {
+                if (route === '/apiv1' && err.status === 400) {
+                    // Geotab answers malformed JSON-RPC like this, so the app reports it the usual way
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(rpcError('JsonSerializerException', err.message)));
+                } else {
+                    res.writeHead(err.status, { 'Content-Type': 'text/plain' }).end(err.message);
+                }
+                return;
+            }
+            console.error('Proxy request failed:', err.message);
+            res.writeHead(502, { 'Content-Type': 'text/plain' }).end('Could not reach Geotab');
+        }
+    });
+    server.on('close', () => clearInterval(pruneInterval));
+    return server;
+}
+
+// Run from the command line
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const portIndex = process.argv.indexOf('--port');
+    const port = Number(portIndex > -1 ? process.argv[portIndex + 1] : process.env.PORT || DEFAULT_PORT);
+
+    const options = {
+        allowedServers: splitList(process.env.GEOTAB_ALLOWED_SERVERS, '*.geotab.com'),
+        allowedMethods: splitList(process.env.PROXY_ALLOWED_METHODS, 'Get,GetCountOf,GetFeed,Add,Set,Remove'),
+        allowedOrigin: process.env.PROXY_ALLOWED_ORIGIN || null,
+        sessionTtl: Number(process.env.PROXY_SESSION_MINUTES || 60) * 60 * 1000,
+        secureCookie: process.env.PROXY_SECURE_COOKIE !== 'false',
+    };
+
+    createProxyServer(options).listen(port, () => {
+        console.log(`Geotab proxy on http://localhost:${port} for ${options.allowedServers.join(', ')}`);
+    });
+}
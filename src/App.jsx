@@ -1,10 +1,40 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import AuthForm from './components/AuthForm';
 import VehicleMap from './components/VehicleMap';
 import PastTripsCard from './components/PastTripsCard';
 import GForceChart from './components/GForceChart';
 import ErrorBoundary from './components/ErrorBoundary'; // Import ErrorBoundary
-import axios from 'axios';
+import SessionExpiredPrompt from './components/SessionExpiredPrompt';
+import ApiStatusBanner from './components/ApiStatusBanner';
+import RateLimitIndicator from './components/RateLimitIndicator';
+import AccountSwitcher from './components/AccountSwitcher';
+import IdleTimeoutWarning from './components/IdleTimeoutWarning';
+import { useIdleTimeout } from './components/useIdleTimeout';
+import { createSessionSync } from './components/sessionSync';
+import { authenticate, getGeotabClient, logout } from './components/geotabClient';
+import {
+    setSessionExpiredHandler,
+    formatErrorMessage,
+    isSessionExpiredError,
+    isCancellationError,
+    registerLocalServer
+} from './components/apiErrorUtils';
+import { configureRateLimits, parseRateLimits } from './components/rateLimiter';
+import { DEMO_SERVER, DEMO_CREDENTIALS, handleDemoRequest } from './components/demoFleet';
+import { fetchTripPoints } from './components/vehicleUtils';
+import { loadCapabilities, getPermissionMessage, CAPABILITIES, FULL_ACCESS } from './components/permissions';
+import {
+    getAccountKey,
+    saveSession,
+    updateStoredSessionId,
+    saveSelection,
+    setActiveStoredSession,
+    loadStoredSessions,
+    clearStoredSession,
+    loadSavedAccounts,
+    addSavedAccount,
+    removeSavedAccount
+} from './components/sessionPersistence';
 import './App.css'; 
 import L from 'leaflet';
 import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
@@ -21,58 +51,262 @@ const defaultIcon = L.icon({
   shadowSize: [41, 41],
 });
 
+// The demo fleet answers every call for its server in the browser, with no network
+registerLocalServer(DEMO_SERVER, handleDemoRequest);
+
+// Databases can have other rate limits than the defaults, e.g. VITE_RATE_LIMITS=Get:LogRecord=60/60
+configureRateLimits(parseRateLimits(import.meta.env.VITE_RATE_LIMITS));
+
+// Inactivity before everyone is logged out, for shared dispatch workstations (0 disables it)
+const IDLE_TIMEOUT_MINUTES = Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES ?? 15);
+const IDLE_TIMEOUT = IDLE_TIMEOUT_MINUTES * 60 * 1000;
+// How long the "are you still there?" warning is shown before logging out
+const IDLE_WARNING_TIME = 60 * 1000;
+
 function App() {
-    const [isAuthenticated, setIsAuthenticated] = useState(false);
-    const [sessionInfo, setSessionInfo] = useState(null);
+    const [sessions, setSessions] = useState([]); // Every account currently signed in
+    const [sessionInfo, setSessionInfo] = useState(null); // The account on screen
+    const [savedAccounts, setSavedAccounts] = useState(loadSavedAccounts);
+    const [isAddingAccount, setIsAddingAccount] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
     const [selectedVehicleId, setSelectedVehicleId] = useState(null);
     const [selectedTrip, setSelectedTrip] = useState(null);
+    const [reauthPrompt, setReauthPrompt] = useState(null); // { session, isLoading, error } while the session-expired prompt is shown
+    const [isRestoring, setIsRestoring] = useState(() => loadStoredSessions() !== null);
+    const [permissions, setPermissions] = useState(null); // { session, capabilities, clearance } of the account on screen
 
-    const handleLogin = async ({ username, password, database, server }) => {
-        setIsLoading(true);
-        setError(null);
+    const isAuthenticated = sessionInfo !== null;
+    // Null until the clearance of the account on screen has been loaded
+    const capabilities = permissions && permissions.session === sessionInfo ? permissions.capabilities : null;
+    const restrictedFeatures = Object.keys(CAPABILITIES).filter(name => capabilities && !capabilities[name]);
 
-        const apiUrl = `https://${server}/apiv1/`;
+    // Passwords kept in memory only, per account, when the user opted in to automatic re-authentication
+    const storedPasswordsRef = useRef(new Map());
+    // Pending renewal ({ session, resolve, reject }) waiting for the user to re-enter the password
+    const pendingReauthRef = useRef(null);
+    // Selected vehicle and trip of each account that is signed in but not on screen
+    const selectionsRef = useRef(new Map());
+    // Channel to the app's other tabs, and the handler for their messages as of the latest render
+    const syncRef = useRef(null);
+    const syncHandlerRef = useRef(null);
 
-        try {
-            const response = await axios.post(apiUrl, {
-                jsonrpc: '2.0',
-                method: 'Authenticate',
-                params: {
-                    userName: username,
-                    password: password,
-                    database: database,
-                },
-                id: 1,
-            }, {
-                headers: {
-                    'Content-Type': 'application/json'
+    useEffect(() => {
+        const sync = createSessionSync(message => syncHandlerRef.current?.(message));
+        syncRef.current = sync;
+        // Pick up accounts already signed in in another tab
+        sync.post({ type: 'request-sessions' });
+        return () => sync.close();
+    }, []);
+
+    // Restore remembered sessions, checking with a cheap call that each is still valid
+    useEffect(() => {
+        const stored = loadStoredSessions();
+        if (!stored) return;
+
+        const validate = async ({ session }) => {
+            try {
+                await getGeotabClient(session).get('User', { name: session.userName }, { resultsLimit: 1, cache: false });
+                return true;
+            } catch (err) {
+                if (isSessionExpiredError(err)) {
+                    clearStoredSession(session);
+                    return false;
+                }
+                throw err;
+            }
+        };
+
+        Promise.allSettled(stored.entries.map(validate))
+            .then(results => {
+                const restored = stored.entries.filter((_, index) => results[index].value === true);
+
+                const failure = results.find(result => result.status === 'rejected');
+                if (failure) {
+                    // Kept so the next reload can try again, e.g. once back online
+                    setError(formatErrorMessage(failure.reason, 'Could not restore your session. Please log in.'));
+                }
+                if (restored.length === 0) return;
+
+                restored.forEach(({ session, selection }) => {
+                    selectionsRef.current.set(getAccountKey(session), selection);
+                });
+                const active = restored.find(({ session }) => getAccountKey(session) === stored.activeKey) ?? restored[0];
+
+                setSessions(restored.map(({ session }) => session));
+                setSessionInfo(active.session);
+                setSelectedVehicleId(active.selection.vehicleId ?? null);
+                setSelectedTrip(active.selection.trip ?? null);
+            })
+            .finally(() => setIsRestoring(false));
+    }, []);
+
+    // A remembered trip comes back without its path, which is too large to store
+    useEffect(() => {
+        if (!sessionInfo || !selectedTrip || selectedTrip.points) return;
+
+        const controller = new AbortController();
+        fetchTripPoints(sessionInfo, selectedTrip, { signal: controller.signal })
+            .then(points => setSelectedTrip(current => (current?.id === selectedTrip.id
+                ? { ...current, path: points.map(point => [point.latitude, point.longitude]), points }
+                : current)))
+            .catch(err => {
+                if (!isCancellationError(err)) {
+                    console.warn('Could not restore the selected trip:', err.message);
                 }
             });
 
-            const result = response.data.result;
+        return () => controller.abort();
+    }, [sessionInfo, selectedTrip]);
+
+    // Find out what the account on screen may do before showing its features
+    useEffect(() => {
+        if (!sessionInfo) return;
+
+        const controller = new AbortController();
+        loadCapabilities(sessionInfo, { signal: controller.signal })
+            .then(result => setPermissions({ session: sessionInfo, ...result }))
+            .catch(err => {
+                if (isCancellationError(err)) return;
+                // Like an unreadable clearance, leave the API to enforce the real rights
+                console.warn('Could not load permissions:', err.message);
+                setPermissions({ session: sessionInfo, capabilities: FULL_ACCESS, clearance: null });
+            });
+
+        return () => controller.abort();
+    }, [sessionInfo]);
+
+    // A feature the API refused despite the clearance is hidden from then on
+    const handlePermissionDenied = (capability) => {
+        setPermissions(current => current && { ...current, capabilities: { ...current.capabilities, [capability]: false } });
+    };
+
+    // Keep the remembered selection current (saveSelection ignores sessions that aren't remembered)
+    useEffect(() => {
+        if (!sessionInfo) return;
+        saveSelection(sessionInfo, { vehicleId: selectedVehicleId, trip: selectedTrip });
+    }, [sessionInfo, selectedVehicleId, selectedTrip]);
+
+    // Re-authenticates an expired session and returns its new credentials
+    const reauthenticate = async (expiredSession, password) => {
+        const result = await authenticate(expiredSession.server, {
+            userName: expiredSession.userName,
+            password,
+            database: expiredSession.database,
+        });
+        return result?.credentials;
+    };
+
+    useEffect(() => {
+        if (!sessionInfo) return;
+
+        const renew = async (expiredSession) => {
+            const storedPassword = storedPasswordsRef.current.get(getAccountKey(expiredSession));
+            if (storedPassword) {
+                try {
+                    return await reauthenticate(expiredSession, storedPassword);
+                } catch (err) {
+                    // The stored password may have been changed; fall back to asking the user
+                    console.warn('Automatic re-authentication failed:', err.message);
+                }
+            }
+
+            return new Promise((resolve, reject) => {
+                pendingReauthRef.current = { session: expiredSession, resolve, reject };
+                setReauthPrompt({ session: expiredSession, isLoading: false, error: null });
+            });
+        };
+
+        setSessionExpiredHandler(async (expiredSession) => {
+            const credentials = await renew(expiredSession);
+            // A remembered session must survive the next reload with its new id
+            if (credentials?.sessionId) {
+                updateStoredSessionId(expiredSession, credentials.sessionId);
+            }
+            return credentials;
+        });
+
+        return () => setSessionExpiredHandler(null);
+    }, [sessionInfo]);
+
+    // Puts an account on screen with the vehicle and trip it had selected
+    const showSession = (session) => {
+        const selection = (session && selectionsRef.current.get(getAccountKey(session))) ?? {};
+        setSessionInfo(session);
+        setSelectedVehicleId(selection.vehicleId ?? null);
+        setSelectedTrip(selection.trip ?? null);
+        setIsAddingAccount(false);
+        if (session) {
+            setActiveStoredSession(session);
+        }
+    };
+
+    const handleSwitchSession = (session) => {
+        if (sessionInfo) {
+            selectionsRef.current.set(getAccountKey(sessionInfo), { vehicleId: selectedVehicleId, trip: selectedTrip });
+        }
+        showSession(session);
+    };
+
+    const handleAddAccount = () => {
+        setError(null);
+        setIsAddingAccount(true);
+    };
+
+    const handleRemoveSavedAccount = (account) => {
+        setSavedAccounts(removeSavedAccount(account));
+    };
+
+    const handleLogin = async ({ username, password, database, server, autoReauthenticate, rememberMe }) => {
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            const result = await authenticate(server, {
+                userName: username,
+                password: password,
+                database: database,
+            });
 
             if (result && result.credentials && result.credentials.sessionId) {
-                setSessionInfo({
+                const newSession = {
                     database: result.credentials.database,
                     userName: result.credentials.userName,
                     sessionId: result.credentials.sessionId,
-                    server: server
-                });
-                setIsAuthenticated(true);
+                    // The federated server Geotab redirected us to, not necessarily the one typed in
+                    server: result.server
+                };
+                const key = getAccountKey(newSession);
+
+                if (rememberMe) {
+                    saveSession(newSession);
+                } else {
+                    clearStoredSession(newSession);
+                }
+                if (autoReauthenticate) {
+                    storedPasswordsRef.current.set(key, password);
+                } else {
+                    storedPasswordsRef.current.delete(key);
+                }
+                if (newSession.server !== DEMO_SERVER) {
+                    setSavedAccounts(addSavedAccount(newSession));
+                }
+
+                // Signing in again to an account replaces its old session
+                setSessions(current => [...current.filter(session => getAccountKey(session) !== key), newSession]);
+                handleSwitchSession(newSession);
+                syncRef.current?.post({ type: 'login', session: newSession });
                 console.log('Login successful');
-            } else if (response.data.error) {
-                setError(response.data.error.message || 'Authentication failed.');
-                console.error('Geotab API Error:', response.data.error);
             } else {
                 setError('Authentication failed: Unexpected API response.');
-                console.error('Unexpected API response:', response.data);
+                console.error('Unexpected API response:', result);
             }
 
         } catch (err) {
             console.error('Network or Request Error:', err);
-            if (err.response) {
+            if (err.apiError) {
+                setError(formatErrorMessage(err, 'Authentication failed.'));
+            } else if (err.response) {
                 setError(`Login failed: Server responded with status ${err.response.status}. Please check server URL and credentials.`);
             } else if (err.request) {
                 setError('Login failed: No response from server. Check your internet connection or server address.');
@@ -84,97 +318,247 @@ function App() {
         }
     };
 
-    const handleVehicleSelected = (vehicleId) => {
+    const handleTryDemo = () => {
+        handleLogin({
+            username: DEMO_CREDENTIALS.userName,
+            password: DEMO_CREDENTIALS.password,
+            database: DEMO_CREDENTIALS.database,
+            server: DEMO_CREDENTIALS.server,
+            autoReauthenticate: true,
+            rememberMe: false,
+        });
+    };
+
+    // Kept stable, so App re-rendering every second during the idle countdown doesn't make
+    // VehicleMap, whose vehicle load depends on it, fetch its vehicles again
+    const selectedVehicleIdRef = useRef(selectedVehicleId);
+    useEffect(() => {
+        selectedVehicleIdRef.current = selectedVehicleId;
+    }, [selectedVehicleId]);
+
+    const handleVehicleSelected = useCallback((vehicleId) => {
         // Reset selected trip when vehicle changes
-        if (vehicleId !== selectedVehicleId) {
+        if (vehicleId !== selectedVehicleIdRef.current) {
             setSelectedTrip(null);
         }
+        selectedVehicleIdRef.current = vehicleId;
         setSelectedVehicleId(vehicleId);
+    }, []);
+
+    const handleReauthSubmit = async (password) => {
+        const pending = pendingReauthRef.current;
+        if (!pending) return;
+
+        setReauthPrompt(prompt => ({ ...prompt, isLoading: true, error: null }));
+
+        try {
+            const credentials = await reauthenticate(pending.session, password);
+            pendingReauthRef.current = null;
+            setReauthPrompt(null);
+            pending.resolve(credentials);
+        } catch (err) {
+            setReauthPrompt(prompt => ({ ...prompt, isLoading: false, error: formatErrorMessage(err, 'Re-authentication failed.') }));
+        }
+    };
+
+    // Signs out of one account; the next signed-in account, if any, takes its place on screen.
+    // broadcast is false when another tab already logged out and told us about it.
+    const logoutAccount = (session, broadcast = true) => {
+        const key = getAccountKey(session);
+
+        if (pendingReauthRef.current && getAccountKey(pendingReauthRef.current.session) === key) {
+            pendingReauthRef.current.reject(new Error('Session expired. Please log in again.'));
+            pendingReauthRef.current = null;
+            setReauthPrompt(null);
+        }
+        storedPasswordsRef.current.delete(key);
+        selectionsRef.current.delete(key);
+        clearStoredSession(session);
+
+        const remaining = sessions.filter(other => getAccountKey(other) !== key);
+        setSessions(remaining);
+        if (sessionInfo && getAccountKey(sessionInfo) === key) {
+            showSession(remaining[0] ?? null);
+        }
+        if (broadcast) {
+            logout(session);
+            syncRef.current?.post({ type: 'logout', accountKey: key });
+        }
+    };
+
+    // Signs out of every account, e.g. when the workstation is left idle
+    const logoutAll = (broadcast = true) => {
+        if (pendingReauthRef.current) {
+            pendingReauthRef.current.reject(new Error('Session expired. Please log in again.'));
+            pendingReauthRef.current = null;
+        }
+        setReauthPrompt(null);
+        sessions.forEach(session => clearStoredSession(session));
+        storedPasswordsRef.current.clear();
+        selectionsRef.current.clear();
+        setSessions([]);
+        showSession(null);
+        if (broadcast) {
+            sessions.forEach(session => logout(session));
+            syncRef.current?.post({ type: 'logout-all' });
+        }
     };
 
     const handleLogout = () => {
-        setIsAuthenticated(false);
-        setSessionInfo(null);
-        setSelectedVehicleId(null);
-        setSelectedTrip(null);
+        logoutAccount(sessionInfo);
     };
 
+    const idle = useIdleTimeout({
+        timeout: IDLE_TIMEOUT,
+        warningTime: IDLE_WARNING_TIME,
+        enabled: isAuthenticated && IDLE_TIMEOUT > 0,
+        onTimeout: () => {
+            logoutAll();
+            setError(`You were logged out after ${IDLE_TIMEOUT_MINUTES} minutes of inactivity.`);
+        },
+        // Activity in any tab keeps all of them signed in
+        onActivity: () => syncRef.current?.post({ type: 'activity' }),
+    });
+
+    const handleSyncMessage = (message) => {
+        if (message.type === 'login' && message.session) {
+            const key = getAccountKey(message.session);
+            const existing = sessions.find(session => getAccountKey(session) === key);
+            if (existing?.sessionId === message.session.sessionId) return;
+
+            setSessions(current => [...current.filter(session => getAccountKey(session) !== key), message.session]);
+            if (!sessionInfo) {
+                showSession(message.session);
+            }
+        } else if (message.type === 'logout') {
+            const session = sessions.find(candidate => getAccountKey(candidate) === message.accountKey);
+            if (session) {
+                logoutAccount(session, false);
+            }
+        } else if (message.type === 'logout-all') {
+            logoutAll(false);
+        } else if (message.type === 'activity') {
+            idle.reset();
+        } else if (message.type === 'request-sessions') {
+            sessions.forEach(session => syncRef.current?.post({ type: 'login', session }));
+        }
+    };
+
+    useEffect(() => {
+        syncHandlerRef.current = handleSyncMessage;
+    });
+
     return (
         <ErrorBoundary 
             fallbackMessage="Something went wrong with the application. Please refresh the page or try logging in again."
             showDetails={true}
         >
             <div style={appStyles.container}>
-                {!isAuthenticated ? (
+                {isRestoring ? (
+                    <p>Restoring your session...</p>
+                ) : !isAuthenticated || isAddingAccount ? (
                     <ErrorBoundary 
                         fallbackMessage="There was an issue with the login form. Please refresh the page and try again."
                         showDetails={false}
                     >
-                        <AuthForm onLogin={handleLogin} isLoading={isLoading} error={error} />
+                        <AuthForm
+                            onLogin={handleLogin}
+                            onTryDemo={handleTryDemo}
+                            isLoading={isLoading}
+                            error={error}
+                            savedAccounts={savedAccounts}
+                            onRemoveSavedAccount={handleRemoveSavedAccount}
+                            onCancel={isAuthenticated ? () => setIsAddingAccount(false) : null}
+                        />
                     </ErrorBoundary>
                 ) : (
                     <div style={appStyles.authenticatedContent}>
+                        <ApiStatusBanner />
                         <h1>Welcome, {sessionInfo.userName}!</h1>
                         <p>Logged into database: {sessionInfo.database}</p>
+                        <RateLimitIndicator sessionInfo={sessionInfo} />
+                        {restrictedFeatures.length > 0 && (
+                            <p style={appStyles.permissionNotice}>
+                                {getPermissionMessage(restrictedFeatures, permissions.clearance)}
+                            </p>
+                        )}
+                        <AccountSwitcher
+                            sessions={sessions}
+                            activeSession={sessionInfo}
+                            onSwitch={handleSwitchSession}
+                            onAddAccount={handleAddAccount}
+                        />
 
-                        {/* Wrap VehicleMap in ErrorBoundary */}
-                        <ErrorBoundary 
-                            fallbackMessage="There was an issue loading the vehicle map. Please try refreshing or selecting a different vehicle."
-                            showDetails={false}
-                        >
-                            <VehicleMap 
-                                sessionInfo={sessionInfo} 
-                                onVehicleSelect={handleVehicleSelected}
-                                selectedVehicleId={selectedVehicleId}
-                                commonStyles={{ 
-                                    form: { ...appStyles.form, marginTop: '20px', maxWidth: '700px' },
-                                    error: appStyles.error,
-                                    inputGroup: appStyles.inputGroup,
-                                    label: appStyles.label,
-                                    input: appStyles.input,
-                                    button: appStyles.button,
-                                }}
-                                selectedTrip={selectedTrip}
-                            />
-                        </ErrorBoundary>
-
-                        {/* Wrap PastTripsCard in ErrorBoundary */}
-                        {selectedVehicleId && (
-                            <div style={{ width: '100%', maxWidth: '700px', display: 'flex', flexDirection: 'column', gap: '1em', alignItems: 'stretch' }}>
+                        {/* Remount per account so no vehicle or trip state leaks between databases */}
+                        {!capabilities ? (
+                            <p>Checking your permissions...</p>
+                        ) : (
+                            <React.Fragment key={getAccountKey(sessionInfo)}>
+                                {/* Wrap VehicleMap in ErrorBoundary */}
                                 <ErrorBoundary 
-                                    fallbackMessage="There was an issue loading the past trips. Please try selecting the vehicle again or refresh the page."
+                                    fallbackMessage="There was an issue loading the vehicle map. Please try refreshing or selecting a different vehicle."
                                     showDetails={false}
                                 >
-                                    <PastTripsCard
+                                    <VehicleMap 
+                                        sessionInfo={sessionInfo} 
+                                        onVehicleSelect={handleVehicleSelected}
                                         selectedVehicleId={selectedVehicleId}
-                                        sessionInfo={sessionInfo}
-                                        onTripSelect={setSelectedTrip}
-                                        commonStyles={{
-                                            ...appStyles,
-                                            form: { ...appStyles.form, width: '100%', maxWidth: '100%' },
+                                        commonStyles={{ 
+                                            form: { ...appStyles.form, marginTop: '20px', maxWidth: '700px' },
+                                            error: appStyles.error,
+                                            inputGroup: appStyles.inputGroup,
+                                            label: appStyles.label,
+                                            input: appStyles.input,
+                                            button: appStyles.button,
                                         }}
-                                    />
-                                </ErrorBoundary>
-                            </div>
-                        )}
-
-                        {/* G-Force Chart Component - appears when trip is selected */}
-                        {selectedTrip && (
-                            <div style={{ width: '100%', maxWidth: '700px', display: 'flex', flexDirection: 'column', alignItems: 'stretch' }}>
-                                <ErrorBoundary 
-                                    fallbackMessage="There was an issue loading the G-Force chart. The accelerometer data may not be available for this vehicle or trip."
-                                    showDetails={false}
-                                >
-                                    <GForceChart
                                         selectedTrip={selectedTrip}
-                                        sessionInfo={sessionInfo}
-                                        commonStyles={{
-                                            ...appStyles,
-                                            form: { ...appStyles.form, width: '100%', maxWidth: '100%' },
-                                        }}
+                                        capabilities={capabilities}
+                                        onPermissionDenied={handlePermissionDenied}
                                     />
                                 </ErrorBoundary>
-                            </div>
+
+                                {/* Wrap PastTripsCard in ErrorBoundary */}
+                                {selectedVehicleId && (
+                                    <div style={{ width: '100%', maxWidth: '700px', display: 'flex', flexDirection: 'column', gap: '1em', alignItems: 'stretch' }}>
+                                        <ErrorBoundary 
+                                            fallbackMessage="There was an issue loading the past trips. Please try selecting the vehicle again or refresh the page."
+                                            showDetails={false}
+                                        >
+                                            <PastTripsCard
+                                                selectedVehicleId={selectedVehicleId}
+                                                sessionInfo={sessionInfo}
+                                                onTripSelect={setSelectedTrip}
+                                                selectedTrip={selectedTrip}
+                                                commonStyles={{
+                                                    ...appStyles,
+                                                    form: { ...appStyles.form, width: '100%', maxWidth: '100%' },
+                                                }}
+                                            />
+                                        </ErrorBoundary>
+                                    </div>
+                                )}
+
+                                {/* G-Force Chart Component - appears when trip is selected */}
+                                {selectedTrip && (
+                                    <div style={{ width: '100%', maxWidth: '700px', display: 'flex', flexDirection: 'column', alignItems: 'stretch' }}>
+                                        <ErrorBoundary 
+                                            fallbackMessage="There was an issue loading the G-Force chart. The accelerometer data may not be available for this vehicle or trip."
+                                            showDetails={false}
+                                        >
+                                            <GForceChart
+                                                selectedTrip={selectedTrip}
+                                                sessionInfo={sessionInfo}
+                                                capabilities={capabilities}
+                                                onPermissionDenied={handlePermissionDenied}
+                                                commonStyles={{
+                                                    ...appStyles,
+                                                    form: { ...appStyles.form, width: '100%', maxWidth: '100%' },
+                                                }}
+                                            />
+                                        </ErrorBoundary>
+                                    </div>
+                                )}
+                            </React.Fragment>
                         )}
 
                         {/* Logout button */}
@@ -186,6 +570,25 @@ function App() {
                         </button>
                     </div>
                 )}
+
+                {idle.isWarning && !reauthPrompt && (
+                    <IdleTimeoutWarning
+                        remaining={idle.remaining}
+                        onStaySignedIn={idle.reset}
+                        onLogout={() => logoutAll()}
+                    />
+                )}
+
+                {reauthPrompt && (
+                    <SessionExpiredPrompt
+                        userName={reauthPrompt.session.userName}
+                        database={reauthPrompt.session.database}
+                        onSubmit={handleReauthSubmit}
+                        onCancel={() => logoutAccount(reauthPrompt.session)}
+                        isLoading={reauthPrompt.isLoading}
+                        error={reauthPrompt.error}
+                    />
+                )}
             </div>
         </ErrorBoundary>
     );
@@ -220,6 +623,16 @@ const appStyles = {
         maxHeight: '90vh',
         overflowY: 'auto',
     },
+    permissionNotice: {
+        fontSize: '0.85em',
+        color: '#856404',
+        backgroundColor: '#fff3cd',
+        border: '1px solid #ffeeba',
+        borderRadius: '4px',
+        padding: '0.5em 1em',
+        maxWidth: '700px',
+        textAlign: 'center',
+    },
     logoutButton: {
         padding: '0.7em 1em',
         backgroundColor: '#dc3545',
@@ -0,0 +1,66 @@
+// AccountSwitcher.jsx
+import React from 'react';
+import { getAccountKey } from './sessionPersistence';
+
+function AccountSwitcher({ sessions, activeSession, onSwitch, onAddAccount }) {
+    const handleChange = (e) => {
+        const session = sessions.find(candidate => getAccountKey(candidate) === e.target.value);
+        if (session) {
+            onSwitch(session);
+        }
+    };
+
+    return (
+        <div style={styles.switcher}>
+            <label htmlFor="account-switcher" style={styles.label}>Account</label>
+            <select
+                id="account-switcher"
+                value={getAccountKey(activeSession)}
+                onChange={handleChange}
+                style={styles.select}
+            >
+                {sessions.map(session => (
+                    <option key={getAccountKey(session)} value={getAccountKey(session)}>
+                        {session.userName} — {session.database} ({session.server})
+                    </option>
+                ))}
+            </select>
+            <button type="button" onClick={onAddAccount} style={styles.button}>
+                Add Account
+            </button>
+        </div>
+    );
+}
+
+const styles = {
+    switcher: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5em',
+        width: '100%',
+        maxWidth: '700px',
+        marginBottom: '1em',
+    },
+    label: {
+        fontWeight: 'bold',
+    },
+    select: {
+        flex: 1,
+        padding: '0.5em',
+        border: '1px solid #ddd',
+        borderRadius: '4px',
+        fontSize: '0.9em',
+    },
+    button: {
+        padding: '0.5em 1em',
+        backgroundColor: '#646cff',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontWeight: 'bold',
+        whiteSpace: 'nowrap',
+    },
+};
+
+export default AccountSwitcher;
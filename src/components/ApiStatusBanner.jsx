@@ -0,0 +1,49 @@
+// ApiStatusBanner.jsx
+import React, { useState, useEffect } from 'react';
+import { getOpenCircuitBreakers, subscribeToCircuitBreakers } from './circuitBreaker';
+
+function ApiStatusBanner() {
+    const [openBreakers, setOpenBreakers] = useState(getOpenCircuitBreakers);
+    const [, setTick] = useState(0);
+
+    useEffect(() => {
+        return subscribeToCircuitBreakers(() => setOpenBreakers(getOpenCircuitBreakers()));
+    }, []);
+
+    // Re-render every second so the countdown stays current while a breaker is open
+    useEffect(() => {
+        if (openBreakers.length === 0) return;
+        const interval = setInterval(() => setTick(tick => tick + 1), 1000);
+        return () => clearInterval(interval);
+    }, [openBreakers]);
+
+    if (openBreakers.length === 0) return null;
+
+    const retryIn = Math.max(...openBreakers.map(breaker => breaker.getRetryDelay()));
+
+    return (
+        <div style={styles.banner} role="status">
+            {retryIn > 0
+                ? `Geotab unavailable, retrying in ${Math.ceil(retryIn / 1000)}s`
+                : 'Geotab unavailable, retrying now...'}
+        </div>
+    );
+}
+
+const styles = {
+    banner: {
+        width: '100%',
+        maxWidth: '700px',
+        boxSizing: 'border-box',
+        padding: '0.6em 1em',
+        marginBottom: '1em',
+        backgroundColor: '#fff3cd',
+        color: '#856404',
+        border: '1px solid #ffeeba',
+        borderRadius: '4px',
+        textAlign: 'center',
+        fontWeight: 'bold',
+    },
+};
+
+export default ApiStatusBanner;
@@ -1,14 +1,25 @@
 import React, { useState } from 'react';
 
-function AuthForm({ onLogin, isLoading, error }) {
+function AuthForm({ onLogin, onTryDemo, isLoading, error, savedAccounts = [], onRemoveSavedAccount, onCancel }) {
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
     const [database, setDatabase] = useState('');
     const [server, setServer] = useState(''); // New state for server URL
+    const [autoReauthenticate, setAutoReauthenticate] = useState(false);
+    const [rememberMe, setRememberMe] = useState(false);
 
     const handleSubmit = (e) => {
         e.preventDefault();
-        onLogin({ username, password, database, server }); // Pass server to onLogin
+        onLogin({ username, password, database, server, autoReauthenticate, rememberMe }); // Pass server to onLogin
+    };
+
+    // Fill in everything but the password, which is never saved
+    const handleUseSavedAccount = (account) => {
+        setServer(account.server);
+        setDatabase(account.database);
+        setUsername(account.userName);
+        setPassword('');
+        document.getElementById('password')?.focus();
     };
 
     return (
@@ -17,6 +28,35 @@ function AuthForm({ onLogin, isLoading, error }) {
         // We'll apply the 'form' style directly here.
         <form onSubmit={handleSubmit} style={styles.form}> {/* <<< MODIFIED */}
             <h2>Login to Geotab</h2>
+            {savedAccounts.length > 0 && (
+                <div style={styles.inputGroup}>
+                    <span style={styles.label}>Saved Accounts</span>
+                    <ul style={styles.savedAccounts}>
+                        {savedAccounts.map(account => (
+                            <li key={`${account.server}|${account.database}|${account.userName}`} style={styles.savedAccount}>
+                                <button
+                                    type="button"
+                                    onClick={() => handleUseSavedAccount(account)}
+                                    style={styles.savedAccountButton}
+                                    title={account.server}
+                                >
+                                    {account.userName} &mdash; {account.database}
+                                </button>
+                                {onRemoveSavedAccount && (
+                                    <button
+                                        type="button"
+                                        onClick={() => onRemoveSavedAccount(account)}
+                                        style={styles.removeAccountButton}
+                                        aria-label={`Remove ${account.userName} on ${account.database}`}
+                                    >
+                                        &times;
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
             <div style={styles.inputGroup}>
                 <label htmlFor="server" style={styles.label}>Server (e.g., my.geotab.com)</label>
                 <input
@@ -61,9 +101,41 @@ function AuthForm({ onLogin, isLoading, error }) {
                     style={styles.input}
                 />
             </div>
+            <div style={styles.checkboxGroup}>
+                <input
+                    type="checkbox"
+                    id="autoReauthenticate"
+                    checked={autoReauthenticate}
+                    onChange={(e) => setAutoReauthenticate(e.target.checked)}
+                />
+                <label htmlFor="autoReauthenticate" style={styles.checkboxLabel}>
+                    Sign me back in automatically if my session expires (password is kept in memory for this tab only)
+                </label>
+            </div>
+            <div style={styles.checkboxGroup}>
+                <input
+                    type="checkbox"
+                    id="rememberMe"
+                    checked={rememberMe}
+                    onChange={(e) => setRememberMe(e.target.checked)}
+                />
+                <label htmlFor="rememberMe" style={styles.checkboxLabel}>
+                    Remember me on this device (your password is never stored)
+                </label>
+            </div>
             <button type="submit" disabled={isLoading} style={{ ...styles.button, ...(isLoading && styles.buttonDisabled) }}>
                 {isLoading ? 'Logging In...' : 'Login'}
             </button>
+            {onTryDemo && (
+                <button type="button" onClick={onTryDemo} disabled={isLoading} style={{ ...styles.button, ...styles.demoButton }}>
+                    Try Demo (no Geotab account needed)
+                </button>
+            )}
+            {onCancel && (
+                <button type="button" onClick={onCancel} disabled={isLoading} style={{ ...styles.button, ...styles.cancelButton }}>
+                    Cancel
+                </button>
+            )}
             {error && <p style={styles.error}>{error}</p>}
         </form>
     );
@@ -101,6 +173,16 @@ const styles = {
         boxSizing: 'border-box',
         fontSize: '1em',
     },
+    checkboxGroup: {
+        display: 'flex',
+        alignItems: 'flex-start',
+        gap: '0.5em',
+        textAlign: 'left',
+    },
+    checkboxLabel: {
+        fontSize: '0.85em',
+        color: '#213547',
+    },
     button: {
         width: '100%',
         padding: '0.7em 1em',
@@ -113,6 +195,47 @@ const styles = {
         marginTop: '1em',
         fontWeight: 'bold',
     },
+    demoButton: {
+        backgroundColor: 'transparent',
+        color: '#646cff',
+        border: '1px solid #646cff',
+        marginTop: '0.5em',
+    },
+    cancelButton: {
+        backgroundColor: '#6c757d',
+        marginTop: '0.5em',
+    },
+    savedAccounts: {
+        listStyle: 'none',
+        margin: 0,
+        padding: 0,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.4em',
+    },
+    savedAccount: {
+        display: 'flex',
+        gap: '0.4em',
+    },
+    savedAccountButton: {
+        flex: 1,
+        padding: '0.5em 0.7em',
+        backgroundColor: '#f1f3f5',
+        color: '#213547',
+        border: '1px solid #ddd',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        textAlign: 'left',
+        fontSize: '0.9em',
+    },
+    removeAccountButton: {
+        padding: '0.5em 0.8em',
+        backgroundColor: 'transparent',
+        color: '#dc3545',
+        border: '1px solid #ddd',
+        borderRadius: '4px',
+        cursor: 'pointer',
+    },
     buttonDisabled: {
         backgroundColor: '#cccccc',
         cursor: 'not-allowed',
@@ -0,0 +1,225 @@
+// FleetMap.jsx
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { getGeotabClient } from './geotabClient';
+import { formatErrorMessage, isCancellationError } from './apiErrorUtils';
+import { VEHICLE_STATES, getVehicleState } from './vehicleUtils';
+import { clusterPoints } from './markerClustering';
+import { VehicleMarker, VehicleStatusIcon, styles as mapStyles } from './MapComponents';
+import { usePolling } from './usePolling';
+
+// How often the whole fleet's positions are reloaded
+const REFRESH_INTERVAL = 30 * 1000;
+
+function getClusterIcon(cluster) {
+    // Coloured by whichever state most of its vehicles are in
+    const counts = {};
+    cluster.points.forEach(point => { counts[point.state] = (counts[point.state] || 0) + 1; });
+    const [state] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    const size = cluster.points.length < 10 ? 30 : cluster.points.length < 100 ? 36 : 42;
+
+    return L.divIcon({
+        className: '',
+        html: `<span style="display:flex;align-items:center;justify-content:center;width:${size}px;height:${size}px;border-radius:50%;border:3px solid rgba(255,255,255,0.8);box-sizing:border-box;background:${VEHICLE_STATES[state].color};color:#fff;font-weight:bold;font-size:12px;box-shadow:0 1px 4px rgba(0,0,0,0.4)">${cluster.points.length}</span>`,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2],
+    });
+}
+
+// Fits the map to the fleet the first time positions arrive
+function FitToFleet({ points }) {
+    const map = useMap();
+    const hasFittedRef = useRef(false);
+
+    useEffect(() => {
+        if (hasFittedRef.current || points.length === 0) return;
+        hasFittedRef.current = true;
+        map.fitBounds(L.latLngBounds(points.map(point => [point.latitude, point.longitude])), { padding: [30, 30], maxZoom: 14 });
+    }, [points, map]);
+
+    return null;
+}
+
+function FleetMarkers({ points, selectedVehicleId, onVehicleSelect, showNames }) {
+    const map = useMap();
+    const [zoom, setZoom] = useState(() => map.getZoom());
+    useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+
+    // The selected vehicle is never hidden inside a cluster
+    const selected = points.find(point => point.id === selectedVehicleId);
+    const clusters = useMemo(() => clusterPoints(
+        points.filter(point => point.id !== selectedVehicleId),
+        (point, atZoom) => map.project([point.latitude, point.longitude], atZoom),
+        zoom
+    ), [points, selectedVehicleId, zoom, map]);
+
+    const renderVehicle = (point, isSelected) => (
+        <VehicleMarker
+            key={point.id}
+            position={[point.latitude, point.longitude]}
+            state={point.state}
+            bearing={point.bearing}
+            label={showNames || isSelected ? point.name : null}
+            isSelected={isSelected}
+            zIndexOffset={isSelected ? 1000 : 0}
+            eventHandlers={{ click: () => onVehicleSelect(point.id) }}
+        >
+            <Tooltip direction="top" offset={[0, -12]}>
+                <strong>{point.name}</strong><br />
+                <VehicleStatusIcon state={point.state} bearing={point.bearing} /> {VEHICLE_STATES[point.state].label}
+                {point.state === 'driving' && ` at ${point.speed.toFixed(0)} km/h`}<br />
+                {new Date(point.dateTime).toLocaleString()}
+            </Tooltip>
+        </VehicleMarker>
+    );
+
+    return (
+        <>
+            {clusters.map(cluster => cluster.points.length === 1 ? renderVehicle(cluster.points[0], false) : (
+                <Marker
+                    key={cluster.id}
+                    position={[cluster.latitude, cluster.longitude]}
+                    icon={getClusterIcon(cluster)}
+                    eventHandlers={{
+                        click: () => map.fitBounds(
+                            L.latLngBounds(cluster.points.map(point => [point.latitude, point.longitude])),
+                            { padding: [40, 40] }
+                        ),
+                    }}
+                >
+                    <Tooltip direction="top">{cluster.points.length} vehicles - click to zoom in</Tooltip>
+                </Marker>
+            ))}
+            {selected && renderVehicle(selected, true)}
+        </>
+    );
+}
+
+function FleetMap({ sessionInfo, vehicles, selectedVehicleId, onVehicleSelect }) {
+    const [statuses, setStatuses] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [lastUpdated, setLastUpdated] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [showNames, setShowNames] = useState(false);
+
+    // Reloads the statuses with the signal of the current session's load
+    const refreshRef = useRef(null);
+
+    // One call returns the status of every device; refreshed while the fleet view is open
+    useEffect(() => {
+        const controller = new AbortController();
+
+        const loadStatuses = async () => {
+            try {
+                const result = await getGeotabClient(sessionInfo).get('DeviceStatusInfo', undefined, { signal: controller.signal });
+                setStatuses(result || []);
+                setLastUpdated(new Date());
+                setError(null);
+            } catch (err) {
+                if (isCancellationError(err)) return;
+                console.error('Error fetching fleet status:', err);
+                setError(formatErrorMessage(err, 'Could not fetch fleet locations. Please try again.'));
+            } finally {
+                if (!controller.signal.aborted) {
+                    setIsLoading(false);
+                }
+            }
+        };
+
+        refreshRef.current = loadStatuses;
+        loadStatuses();
+
+        return () => controller.abort();
+    }, [sessionInfo, reloadKey]);
+
+    usePolling(() => refreshRef.current?.(), REFRESH_INTERVAL);
+
+    const points = useMemo(() => {
+        const names = new Map(vehicles.map(vehicle => [vehicle.id, vehicle.name || vehicle.id]));
+        const now = Date.now();
+        return statuses
+            // Devices that have never reported a position come back at 0, 0
+            .filter(status => status.device?.id && typeof status.latitude === 'number' && typeof status.longitude === 'number' &&
+                (status.latitude !== 0 || status.longitude !== 0))
+            .map(status => ({
+                id: status.device.id,
+                name: names.get(status.device.id) || status.device.id,
+                latitude: status.latitude,
+                longitude: status.longitude,
+                speed: status.speed || 0,
+                bearing: status.bearing,
+                dateTime: status.dateTime,
+                state: getVehicleState(status, now),
+            }));
+    }, [statuses, vehicles]);
+
+    const stateCounts = points.reduce((counts, point) => ({ ...counts, [point.state]: (counts[point.state] || 0) + 1 }), {});
+
+    return (
+        <div>
+            <div style={styles.legend}>
+                {Object.entries(VEHICLE_STATES).map(([state, { label }]) => (
+                    <span key={state} style={styles.legendItem}>
+                        <VehicleStatusIcon state={state} />
+                        {label}: {stateCounts[state] || 0}
+                    </span>
+                ))}
+                <label style={styles.legendItem}>
+                    <input type="checkbox" checked={showNames} onChange={(e) => setShowNames(e.target.checked)} />
+                    Show names
+                </label>
+                <button
+                    onClick={() => setReloadKey(key => key + 1)}
+                    style={styles.refreshButton}
+                    title={lastUpdated ? `Last updated ${lastUpdated.toLocaleTimeString()}` : undefined}
+                >
+                    Refresh
+                </button>
+            </div>
+
+            {isLoading && <p>Loading fleet locations...</p>}
+            {error && <p style={{ color: 'red' }}>Error: {error}</p>}
+
+            <div style={mapStyles.mapContainer}>
+                <MapContainer center={[45.4215, -75.6972]} zoom={5} style={mapStyles.map}>
+                    <TileLayer
+                        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                        attribution='&copy; <a href="http://osm.org/copyright">OpenStreetMap</a> contributors'
+                    />
+                    <FleetMarkers points={points} selectedVehicleId={selectedVehicleId} onVehicleSelect={onVehicleSelect} showNames={showNames} />
+                    <FitToFleet points={points} />
+                </MapContainer>
+            </div>
+        </div>
+    );
+}
+
+const styles = {
+    legend: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '12px',
+        fontSize: '0.85em',
+        marginBottom: '10px',
+    },
+    legendItem: {
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '5px',
+    },
+    refreshButton: {
+        padding: '0.3em 0.8em',
+        backgroundColor: '#17a2b8',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '0.9em',
+    },
+};
+
+export default FleetMap;
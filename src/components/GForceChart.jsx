@@ -1,9 +1,11 @@
 // GForceChart.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { fetchAccelerometerData } from './vehicleUtils';
+import { isCancellationError, formatErrorMessage } from './apiErrorUtils';
+import { FULL_ACCESS, isPermissionError } from './permissions';
 
-function GForceChart({ selectedTrip, sessionInfo, commonStyles }) {
+function GForceChart({ selectedTrip, sessionInfo, commonStyles, capabilities = FULL_ACCESS, onPermissionDenied }) {
     const [gForceData, setGForceData] = useState([]);
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
@@ -14,6 +16,9 @@ function GForceChart({ selectedTrip, sessionInfo, commonStyles }) {
         totalDataPoints: 0
     });
 
+    // Abort controller for the accelerometer request of the current trip
+    const controllerRef = useRef(null);
+
     useEffect(() => {
         if (selectedTrip && sessionInfo) {
             fetchGForceData();
@@ -26,10 +31,17 @@ function GForceChart({ selectedTrip, sessionInfo, commonStyles }) {
                 totalDataPoints: 0
             });
         }
+
+        // Stop the (potentially 60 second) accelerometer fetch once the trip changes or is deselected
+        return () => controllerRef.current?.abort();
     }, [selectedTrip, sessionInfo]);
 
     const fetchGForceData = async () => {
-        if (!selectedTrip || !sessionInfo) return;
+        if (!selectedTrip || !sessionInfo || !capabilities.viewStatusData) return;
+
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
 
         setIsLoading(true);
         setError(null);
@@ -39,7 +51,8 @@ function GForceChart({ selectedTrip, sessionInfo, commonStyles }) {
                 sessionInfo,
                 selectedTrip.device.id,
                 selectedTrip.start,
-                selectedTrip.stop
+                selectedTrip.stop,
+                { signal: controller.signal }
             );
 
             if (accelerometerData.length === 0) {
@@ -85,11 +98,18 @@ function GForceChart({ selectedTrip, sessionInfo, commonStyles }) {
             setGForceData(processedData);
 
         } catch (err) {
+            if (isCancellationError(err)) return;
+            if (isPermissionError(err)) {
+                onPermissionDenied?.('viewStatusData');
+                return;
+            }
             console.error('Error fetching G-force data:', err);
-            setError(`Failed to fetch accelerometer data: ${err.message}`);
+            setError(formatErrorMessage(err, 'Failed to fetch accelerometer data.'));
             setGForceData([]);
         } finally {
-            setIsLoading(false);
+            if (!controller.signal.aborted) {
+                setIsLoading(false);
+            }
         }
     };
 
@@ -123,6 +143,11 @@ function GForceChart({ selectedTrip, sessionInfo, commonStyles }) {
         return null; // Don't render anything if no trip is selected
     }
 
+    // Explained by the clearance notice at the top of the page
+    if (!capabilities.viewStatusData) {
+        return null;
+    }
+
     return (
         <div style={{
             ...commonStyles.form,
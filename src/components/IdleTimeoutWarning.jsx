@@ -0,0 +1,78 @@
+// IdleTimeoutWarning.jsx
+import React from 'react';
+
+function IdleTimeoutWarning({ remaining, onStaySignedIn, onLogout }) {
+    const seconds = Math.max(0, Math.ceil(remaining / 1000));
+
+    return (
+        <div style={styles.overlay}>
+            <div style={styles.dialog} role="alertdialog" aria-labelledby="idle-warning-title">
+                <h3 id="idle-warning-title" style={{ marginTop: 0 }}>Are you still there?</h3>
+                <p style={{ fontSize: '0.9em', color: '#666' }}>
+                    You will be logged out in <strong>{seconds}s</strong> due to inactivity.
+                </p>
+                <div style={styles.actions}>
+                    <button type="button" onClick={onLogout} style={styles.cancelButton}>
+                        Log Out Now
+                    </button>
+                    <button type="button" onClick={onStaySignedIn} style={styles.submitButton} autoFocus>
+                        Stay Signed In
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+const styles = {
+    overlay: {
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        zIndex: 2000,
+    },
+    dialog: {
+        backgroundColor: '#fff',
+        color: '#213547',
+        padding: '20px',
+        borderRadius: '8px',
+        width: '90%',
+        maxWidth: '360px',
+        boxShadow: '0 4px 20px rgba(0, 0, 0, 0.3)',
+        display: 'flex',
+        flexDirection: 'column',
+    },
+    actions: {
+        display: 'flex',
+        gap: '10px',
+        marginTop: '1em',
+    },
+    cancelButton: {
+        flex: 1,
+        padding: '0.7em 1em',
+        backgroundColor: '#6c757d',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontWeight: 'bold',
+    },
+    submitButton: {
+        flex: 1,
+        padding: '0.7em 1em',
+        backgroundColor: '#646cff',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontWeight: 'bold',
+    },
+};
+
+export default IdleTimeoutWarning;
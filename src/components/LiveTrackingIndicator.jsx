@@ -0,0 +1,71 @@
+// LiveTrackingIndicator.jsx
+import React, { useState, useEffect } from 'react';
+
+// Position age after which the vehicle is flagged as possibly out of date, and as not reporting
+const STALE_AFTER = 2 * 60 * 1000;
+const LOST_AFTER = 15 * 60 * 1000;
+
+function formatAge(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)} h`;
+    return `${Math.floor(seconds / 86400)} d`;
+}
+
+function LiveTrackingIndicator({ dateTime, isLive, error }) {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    if (!dateTime) return null;
+
+    const age = now - new Date(dateTime).getTime();
+    let warning = null;
+    if (age > LOST_AFTER) {
+        warning = `The vehicle has not reported its position for ${formatAge(age)}.`;
+    } else if (age > STALE_AFTER) {
+        warning = 'The position may be out of date.';
+    }
+
+    return (
+        <div style={styles.container}>
+            <span style={{ ...styles.dot, backgroundColor: error ? '#dc3545' : isLive ? '#28a745' : '#6c757d' }} />
+            <span>
+                {isLive ? 'Live' : 'Paused'} · last updated {formatAge(age)} ago
+            </span>
+            {warning && <span style={styles.warning}>⚠️ {warning}</span>}
+            {error && <span style={styles.error}>Live update failed: {error}</span>}
+        </div>
+    );
+}
+
+const styles = {
+    container: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '0.5em',
+        fontSize: '0.85em',
+        color: '#666',
+        marginBottom: '10px',
+    },
+    dot: {
+        display: 'inline-block',
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+    },
+    warning: {
+        color: '#856404',
+    },
+    error: {
+        color: '#dc3545',
+    },
+};
+
+export default LiveTrackingIndicator;
@@ -1,8 +1,9 @@
 // MapComponents.jsx
-import React, { useEffect } from 'react';
-import { useMap } from 'react-leaflet';
+import React, { useState, useEffect, useRef } from 'react';
+import { useMap, Marker, Polyline, Popup, Tooltip } from 'react-leaflet';
 import L from 'leaflet';
 import myMarkerIcon from '../assets/my-marker.png'; // Adjust path if necessary
+import { VEHICLE_STATES, formatDuration } from './vehicleUtils';
 
 // Fix for default Leaflet marker icons not showing up with Webpack/Vite
 delete L.Icon.Default.prototype._get;
@@ -23,17 +24,221 @@ export const customIcon = L.icon({
 // MapUpdater component
 export function MapUpdater({ center, polylinePositions }) {
     const map = useMap();
+    // Compared by value, so re-renders with an equal center don't move the map
+    const [latitude, longitude] = center || [];
     useEffect(() => {
         if (polylinePositions && polylinePositions.length > 0) {
             const bounds = L.latLngBounds(polylinePositions);
             map.fitBounds(bounds, { padding: [50, 50] });
-        } else if (center) {
-            map.flyTo(center, map.getZoom());
+        } else if (latitude !== undefined) {
+            map.flyTo([latitude, longitude], map.getZoom());
         }
-    }, [center, polylinePositions, map]);
+    }, [latitude, longitude, polylinePositions, map]);
     return null;
 }
 
+// Marker that glides to each new position instead of jumping, for live tracking
+export function AnimatedMarker({ position, duration = 1000, children, ...markerProps }) {
+    const markerRef = useRef(null);
+    // Leaflet owns the position after the first render; updates are animated below
+    const initialPositionRef = useRef(position);
+    const [latitude, longitude] = position;
+
+    useEffect(() => {
+        const marker = markerRef.current;
+        if (!marker) return;
+
+        const from = marker.getLatLng();
+        const to = L.latLng(latitude, longitude);
+        if (from.equals(to)) return;
+
+        let frame = null;
+        const start = performance.now();
+        const step = (now) => {
+            const progress = Math.min((now - start) / duration, 1);
+            // Ease out, so the marker settles gently
+            const eased = 1 - (1 - progress) ** 3;
+            marker.setLatLng([
+                from.lat + (to.lat - from.lat) * eased,
+                from.lng + (to.lng - from.lng) * eased,
+            ]);
+            if (progress < 1) {
+                frame = requestAnimationFrame(step);
+            }
+        };
+        frame = requestAnimationFrame(step);
+
+        // A newer position starts from wherever the marker has got to
+        return () => cancelAnimationFrame(frame);
+    }, [latitude, longitude, duration]);
+
+    return (
+        <Marker ref={markerRef} position={initialPositionRef.current} {...markerProps}>
+            {children}
+        </Marker>
+    );
+}
+
+// Round arrow pointing along the bearing, or a dot when the vehicle isn't heading anywhere
+function vehicleSymbolSvg(state, bearing, size) {
+    const color = VEHICLE_STATES[state]?.color ?? VEHICLE_STATES.offline.color;
+    const hasHeading = typeof bearing === 'number' && (state === 'driving' || state === 'idle');
+    const symbol = hasHeading
+        ? `<path d="M12 4.5 L17.5 17.5 L12 14.5 L6.5 17.5 Z" fill="#fff" transform="rotate(${Math.round(bearing)} 12 12)"/>`
+        : '<circle cx="12" cy="12" r="3.5" fill="#fff"/>';
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="${size}" height="${size}">`
+        + `<circle cx="12" cy="12" r="10.5" fill="${color}" stroke="#fff" stroke-width="2"/>${symbol}</svg>`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Icons are shared between markers; bearings are rounded so a moving vehicle reuses a handful
+const vehicleIconCache = new Map();
+
+function getVehicleIcon({ state, bearing, label, isSelected }) {
+    const heading = typeof bearing === 'number' ? Math.round(bearing / 5) * 5 : null;
+    const key = `${state}|${heading}|${label ?? ''}|${isSelected}`;
+
+    if (!vehicleIconCache.has(key)) {
+        const size = isSelected ? 32 : 24;
+        const ring = isSelected ? 'filter:drop-shadow(0 0 3px #213547) drop-shadow(0 0 1px #213547);' : 'filter:drop-shadow(0 1px 2px rgba(0,0,0,0.5));';
+        const labelHtml = label
+            ? `<div style="position:absolute;top:${size + 2}px;left:50%;transform:translateX(-50%);white-space:nowrap;font-size:11px;font-weight:bold;color:#213547;background:rgba(255,255,255,0.85);padding:0 4px;border-radius:3px">${escapeHtml(label)}</div>`
+            : '';
+        vehicleIconCache.set(key, L.divIcon({
+            className: '',
+            html: `<div style="position:relative;width:${size}px;height:${size}px;${ring}">${vehicleSymbolSvg(state, heading, size)}${labelHtml}</div>`,
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2],
+            popupAnchor: [0, -size / 2],
+        }));
+    }
+    return vehicleIconCache.get(key);
+}
+
+// Vehicle marker that points along its bearing and is coloured by its state (see VEHICLE_STATES)
+export function VehicleMarker({ position, state, bearing, label, isSelected = false, animate = true, children, ...markerProps }) {
+    const icon = getVehicleIcon({ state, bearing, label, isSelected });
+
+    return animate ? (
+        <AnimatedMarker position={position} icon={icon} {...markerProps}>
+            {children}
+        </AnimatedMarker>
+    ) : (
+        <Marker position={position} icon={icon} {...markerProps}>
+            {children}
+        </Marker>
+    );
+}
+
+// The same symbol as VehicleMarker, for popups, lists and legends
+export function VehicleStatusIcon({ state, bearing, size = 14 }) {
+    return (
+        <span
+            style={{ display: 'inline-block', width: size, height: size, verticalAlign: 'middle', lineHeight: 0 }}
+            title={VEHICLE_STATES[state]?.label}
+            dangerouslySetInnerHTML={{ __html: vehicleSymbolSvg(state, bearing, size) }}
+        />
+    );
+}
+
+// Trip route with each stretch coloured by the speed band it was driven in (see getSpeedBands)
+export function TripSpeedRoute({ runs }) {
+    const [hovered, setHovered] = useState(null);
+
+    // The tooltip follows the mouse and describes the log record nearest to it
+    const handleMouseMove = (run, e) => {
+        let nearest = run.points[0];
+        let nearestDistance = Infinity;
+        run.points.forEach(point => {
+            const distance = (point.latitude - e.latlng.lat) ** 2 + (point.longitude - e.latlng.lng) ** 2;
+            if (distance < nearestDistance) {
+                nearest = point;
+                nearestDistance = distance;
+            }
+        });
+        setHovered(nearest);
+    };
+
+    return runs.map((run, index) => (
+        <Polyline
+            key={index}
+            positions={run.points.map(point => [point.latitude, point.longitude])}
+            pathOptions={{ color: run.band.color, weight: 5, opacity: 0.85 }}
+            eventHandlers={{ mousemove: (e) => handleMouseMove(run, e) }}
+        >
+            <Tooltip sticky>
+                {hovered && (
+                    <>
+                        <strong>{(hovered.speed || 0).toFixed(0)} km/h</strong><br />
+                        {new Date(hovered.dateTime).toLocaleString()}
+                    </>
+                )}
+            </Tooltip>
+        </Polyline>
+    ));
+}
+
+// Numbered marker for a stop found by detectStops
+export function StopMarker({ stop, number }) {
+    const icon = L.divIcon({
+        className: '',
+        html: `<span style="display:flex;align-items:center;justify-content:center;width:22px;height:22px;border-radius:50%;border:2px solid #fff;box-sizing:border-box;background:#6f42c1;color:#fff;font-weight:bold;font-size:11px;box-shadow:0 1px 3px rgba(0,0,0,0.5)">${number}</span>`,
+        iconSize: [22, 22],
+        iconAnchor: [11, 11],
+        popupAnchor: [0, -11],
+    });
+
+    return (
+        <Marker position={[stop.latitude, stop.longitude]} icon={icon}>
+            <Popup>
+                <strong>Stop {number}</strong><br />
+                Arrived: {new Date(stop.arrival).toLocaleTimeString()}<br />
+                {stop.isOngoing ? 'Still stopped at the last record' : `Left: ${new Date(stop.departure).toLocaleTimeString()}`}<br />
+                Stopped for {stop.isOngoing ? 'at least ' : ''}{formatDuration(stop.duration)}
+            </Popup>
+        </Marker>
+    );
+}
+
+// Where a vehicle entered (green) or left (red) a geofence, from detectZoneTransitions
+export function ZoneEventMarker({ event }) {
+    const isEnter = event.type === 'enter';
+    const icon = L.divIcon({
+        className: '',
+        html: `<span style="display:flex;align-items:center;justify-content:center;width:18px;height:18px;border-radius:50%;border:2px solid #fff;box-sizing:border-box;background:${isEnter ? '#28a745' : '#dc3545'};color:#fff;font-weight:bold;font-size:12px;line-height:1;box-shadow:0 1px 3px rgba(0,0,0,0.5)">${isEnter ? '+' : '−'}</span>`,
+        iconSize: [18, 18],
+        iconAnchor: [9, 9],
+    });
+
+    return (
+        <Marker position={[event.latitude, event.longitude]} icon={icon}>
+            <Tooltip direction="top" offset={[0, -9]}>
+                {isEnter ? 'Entered' : 'Exited'} <strong>{event.zone.name}</strong><br />
+                {new Date(event.dateTime).toLocaleString()}
+                {!isEnter && <><br />Inside for {formatDuration(event.duration)}</>}
+            </Tooltip>
+        </Marker>
+    );
+}
+
+// Key to the colours of TripSpeedRoute
+export function SpeedLegend({ bands }) {
+    return (
+        <div style={styles.speedLegend}>
+            <span>Speed:</span>
+            {bands.map(band => (
+                <span key={band.min} style={styles.speedLegendItem}>
+                    <span style={{ ...styles.speedLegendSwatch, backgroundColor: band.color }} />
+                    {band.label}
+                </span>
+            ))}
+        </div>
+    );
+}
+
 // Fault Detail Modal Component
 export function FaultDetailModal({ faultGroup, onClose }) {
     if (!faultGroup) return null;
@@ -114,6 +319,26 @@ export function FaultDetailModal({ faultGroup, onClose }) {
 
 
 export const styles = {
+    speedLegend: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '12px',
+        fontSize: '0.85em',
+        marginBottom: '8px',
+    },
+    speedLegendItem: {
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '5px',
+    },
+    speedLegendSwatch: {
+        display: 'inline-block',
+        width: '18px',
+        height: '5px',
+        borderRadius: '2px',
+    },
     mapContainer: {
         width: '100%',
         height: '400px',
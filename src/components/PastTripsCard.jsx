@@ -1,16 +1,24 @@
 // PastTripsCard.jsx
-import React, { useEffect, useState } from 'react';
-import axios from 'axios';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { getGeotabClient } from './geotabClient';
+import { formatErrorMessage, isCancellationError } from './apiErrorUtils';
+import { fetchTripPoints, detectStops, formatDuration } from './vehicleUtils';
 
-function PastTripsCard({ selectedVehicleId, sessionInfo, onTripSelect, commonStyles }) {
+function PastTripsCard({ selectedVehicleId, sessionInfo, onTripSelect, selectedTrip, commonStyles }) {
     const [trips, setTrips] = useState([]);
     const [isLoadingTrips, setIsLoadingTrips] = useState(false);
     const [tripsError, setTripsError] = useState(null);
     const [selectedTripId, setSelectedTripId] = useState('');
     const [tripInfo, setTripInfo] = useState(null); // This will now hold the full trip data including path
 
+    // Abort controller for the log records of the trip currently being loaded
+    const tripControllerRef = useRef(null);
+
     // Effect to fetch available trips for the selected vehicle
     useEffect(() => {
+        // Any trip still loading belongs to the previous vehicle
+        tripControllerRef.current?.abort();
+
         if (!selectedVehicleId || !sessionInfo) {
             setTrips([]);
             setTripInfo(null);
@@ -22,109 +30,74 @@ function PastTripsCard({ selectedVehicleId, sessionInfo, onTripSelect, commonSty
         setTripInfo(null);
         setSelectedTripId('');
 
+        const controller = new AbortController();
+
         const fetchTrips = async () => {
             setIsLoadingTrips(true);
             setTripsError(null);
 
-            const apiUrl = `https://${sessionInfo.server}/apiv1/`;
-
             try {
                 // Fetch summary 'Trip' objects
-                const response = await axios.post(apiUrl, {
-                    jsonrpc: '2.0',
-                    method: 'Get',
-                    params: {
-                        typeName: 'Trip',
-                        search: {
-                            deviceSearch: { id: selectedVehicleId },
-                            // Optionally, add a date range here to limit the number of trips fetched initially
-                            // For example, for the last 30 days:
-                            // fromDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
-                            // toDate: new Date().toISOString()
-                        },
-                        credentials: {
-                            database: sessionInfo.database,
-                            userName: sessionInfo.userName,
-                            sessionId: sessionInfo.sessionId,
-                        },
-                    },
-                    id: 5,
-                }, {
-                    headers: { 'Content-Type': 'application/json' }
-                });
-
-                const result = response.data.result;
+                const result = await getGeotabClient(sessionInfo).get('Trip', {
+                    deviceSearch: { id: selectedVehicleId },
+                    // Optionally, add a date range here to limit the number of trips fetched initially
+                    // For example, for the last 30 days:
+                    // fromDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
+                    // toDate: new Date().toISOString()
+                }, { signal: controller.signal });
+
                 if (result) {
                     setTrips(result);
-                } else if (response.data.error) {
-                    setTripsError(response.data.error.message || 'Failed to fetch trips.');
                 } else {
                     setTripsError('Failed to fetch trips: Unexpected API response.');
                 }
             } catch (err) {
+                if (isCancellationError(err)) return;
                 console.error('Error fetching trips:', err);
-                setTripsError('Could not fetch trips. Please try again.');
+                setTripsError(formatErrorMessage(err, 'Could not fetch trips. Please try again.'));
             } finally {
-                setIsLoadingTrips(false);
+                if (!controller.signal.aborted) {
+                    setIsLoadingTrips(false);
+                }
             }
         };
 
         fetchTrips();
+
+        return () => {
+            controller.abort();
+            tripControllerRef.current?.abort();
+        };
     }, [selectedVehicleId, sessionInfo]);
 
+    // Reflect a trip selected from outside, e.g. one restored after a page reload
+    useEffect(() => {
+        if (selectedTrip) {
+            setSelectedTripId(selectedTrip.id);
+            setTripInfo(selectedTrip);
+        }
+    }, [selectedTrip]);
+
     // Function to fetch detailed LogRecords for a specific trip
-    const fetchTripLogRecords = async (trip) => {
-        if (!trip || !trip.device || !trip.device.id || !trip.start || !trip.stop || !sessionInfo) {
-            console.warn("Invalid trip or session info for fetching log records.", trip, sessionInfo);
+    const fetchTripLogRecords = async (trip, signal) => {
+        if (!sessionInfo) {
+            console.warn("Invalid session info for fetching log records.", sessionInfo);
             return [];
         }
 
-        const apiUrl = `https://${sessionInfo.server}/apiv1/`;
-
         try {
             setIsLoadingTrips(true); // Indicate loading while fetching log records
-            const response = await axios.post(apiUrl, {
-                jsonrpc: '2.0',
-                method: 'Get',
-                params: {
-                    typeName: 'LogRecord',
-                    search: {
-                        deviceSearch: { id: trip.device.id },
-                        fromDate: trip.start,
-                        toDate: trip.stop
-                    },
-                    credentials: {
-                        database: sessionInfo.database,
-                        userName: sessionInfo.userName,
-                        sessionId: sessionInfo.sessionId,
-                    },
-                },
-                id: 6, // Unique ID for this request
-            }, {
-                headers: { 'Content-Type': 'application/json' }
-            });
-
-            const result = response.data.result;
-
-            if (result) {
-                // Filter out invalid points and map to [latitude, longitude] format
-                const path = result
-                    .filter(log => typeof log.latitude === 'number' && typeof log.longitude === 'number')
-                    .map(log => [log.latitude, log.longitude]);
-
-                return path;
-            } else if (response.data.error) {
-                console.error('Geotab API Error fetching log records:', response.data.error);
-                setTripsError(response.data.error.message || 'Failed to fetch trip details.');
-                return [];
-            }
-            return [];
+            return await fetchTripPoints(sessionInfo, trip, { signal });
         } catch (err) {
-            console.error('Network or Request Error fetching log records:', err);
-            setTripsError('Could not fetch trip details. Please try again.');
+            // Let the caller know the trip was deselected rather than returning an empty path
+            if (isCancellationError(err)) throw err;
+            console.error('Error fetching log records:', err);
+            setTripsError(formatErrorMessage(err, 'Could not fetch trip details. Please try again.'));
             return [];
         } finally {
-            setIsLoadingTrips(false);
+            if (!signal?.aborted) {
+                setIsLoadingTrips(false);
+            }
         }
     };
 
@@ -133,6 +106,11 @@ function PastTripsCard({ selectedVehicleId, sessionInfo, onTripSelect, commonSty
         const tripId = e.target.value;
         setSelectedTripId(tripId);
 
+        // Cancel the previously selected trip's request so it can't land after this one
+        tripControllerRef.current?.abort();
+        const controller = new AbortController();
+        tripControllerRef.current = controller;
+
         if (tripId === "") {
             setTripInfo(null);
             if (onTripSelect) {
@@ -148,12 +126,13 @@ function PastTripsCard({ selectedVehicleId, sessionInfo, onTripSelect, commonSty
             
             try {
                 // Fetch detailed log records for the selected trip
-                const tripPath = await fetchTripLogRecords(selectedTripSummary);
+                const tripPoints = await fetchTripLogRecords(selectedTripSummary, controller.signal);
                 
-                // Combine summary info with the fetched path
+                // Combine summary info with the fetched path, keeping the timed points for replay
                 const fullTripData = { 
                     ...selectedTripSummary, 
-                    path: tripPath,
+                    path: tripPoints.map(point => [point.latitude, point.longitude]),
+                    points: tripPoints,
                 };
                 
                 setTripInfo(fullTripData); // Update local state for display
@@ -162,10 +141,13 @@ function PastTripsCard({ selectedVehicleId, sessionInfo, onTripSelect, commonSty
                     onTripSelect(fullTripData); // Pass the full trip data (with path) to the parent
                 }
             } catch (err) {
+                if (isCancellationError(err)) return;
                 console.error('Error fetching trip details:', err);
                 setTripsError('Failed to fetch trip details.');
             } finally {
-                setIsLoadingTrips(false);
+                if (!controller.signal.aborted) {
+                    setIsLoadingTrips(false);
+                }
             }
         } else {
             setTripInfo(null);
@@ -175,6 +157,9 @@ function PastTripsCard({ selectedVehicleId, sessionInfo, onTripSelect, commonSty
         }
     };
 
+    // Numbered in the same order as the stop markers on the map
+    const stops = useMemo(() => detectStops(tripInfo?.points || []), [tripInfo]);
+
     function formatTripDate(dateStr) {
         return new Date(dateStr).toLocaleString();
     }
@@ -214,6 +199,22 @@ function PastTripsCard({ selectedVehicleId, sessionInfo, onTripSelect, commonSty
                     {tripInfo.path && tripInfo.path.length > 0 && (
                         <p><strong>Path Points:</strong> {tripInfo.path.length} points</p>
                     )}
+
+                    {tripInfo.points && (
+                        <>
+                            <p><strong>Stops:</strong> {stops.length === 0 ? 'None' : stops.length}</p>
+                            {stops.length > 0 && (
+                                <ol style={{ margin: '0.5em 0 0', paddingLeft: '1.5em', textAlign: 'left', fontSize: '0.9em' }}>
+                                    {stops.map(stop => (
+                                        <li key={stop.arrival}>
+                                            {new Date(stop.arrival).toLocaleTimeString()} - {new Date(stop.departure).toLocaleTimeString()}
+                                            {' '}({stop.isOngoing ? 'at least ' : ''}{formatDuration(stop.duration)}{stop.isOngoing ? ', still stopped at the last record' : ''})
+                                        </li>
+                                    ))}
+                                </ol>
+                            )}
+                        </>
+                    )}
                 </div>
             )}
         </div>
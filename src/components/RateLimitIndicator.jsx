@@ -0,0 +1,55 @@
+// RateLimitIndicator.jsx
+import React, { useState, useEffect } from 'react';
+import { getRateLimiter } from './rateLimiter';
+
+function RateLimitIndicator({ sessionInfo }) {
+    const limiter = getRateLimiter(sessionInfo.server, sessionInfo.database, sessionInfo.userName);
+    const [budget, setBudget] = useState(() => limiter.getBudget());
+
+    useEffect(() => {
+        const unsubscribe = limiter.subscribe(() => setBudget(limiter.getBudget()));
+        // Calls leave the sliding window on their own, so refresh even when nothing new is sent
+        const interval = setInterval(() => setBudget(limiter.getBudget()), 1000);
+        return () => {
+            unsubscribe();
+            clearInterval(interval);
+        };
+    }, [limiter]);
+
+    if (budget.length === 0) return null;
+
+    // The most constrained budget is the one worth showing
+    const [usage] = budget;
+    const ratio = usage.remaining / usage.limit;
+    const color = ratio <= 0.2 ? '#dc3545' : ratio <= 0.5 ? '#e0a800' : '#28a745';
+
+    return (
+        <div
+            style={styles.indicator}
+            title={budget.map(item => `${item.key.replace(':', ' ')}: ${item.remaining}/${item.limit} left`).join('\n')}
+        >
+            <span style={{ ...styles.dot, backgroundColor: color }} />
+            API budget: {usage.key.replace(':', ' ')} {usage.remaining}/{usage.limit} left
+            {usage.remaining === 0 && ` (resets in ${Math.ceil(usage.resetIn / 1000)}s)`}
+        </div>
+    );
+}
+
+const styles = {
+    indicator: {
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '0.5em',
+        fontSize: '0.8em',
+        color: '#666',
+        marginBottom: '1em',
+    },
+    dot: {
+        display: 'inline-block',
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+    },
+};
+
+export default RateLimitIndicator;
@@ -0,0 +1,114 @@
+// SessionExpiredPrompt.jsx
+import React, { useState } from 'react';
+
+function SessionExpiredPrompt({ userName, database, onSubmit, onCancel, isLoading, error }) {
+    const [password, setPassword] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSubmit(password);
+    };
+
+    return (
+        <div style={styles.overlay}>
+            <form onSubmit={handleSubmit} style={styles.dialog}>
+                <h3 style={{ marginTop: 0 }}>Session Expired</h3>
+                <p style={{ fontSize: '0.9em', color: '#666' }}>
+                    Your Geotab session for <strong>{database}</strong> has expired.
+                    Enter the password for <strong>{userName}</strong> to continue where you left off.
+                </p>
+                <label htmlFor="reauth-password" style={styles.label}>Password</label>
+                <input
+                    type="password"
+                    id="reauth-password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    autoFocus
+                    style={styles.input}
+                />
+                {error && <p style={styles.error}>{error}</p>}
+                <div style={styles.actions}>
+                    <button type="button" onClick={onCancel} disabled={isLoading} style={styles.cancelButton}>
+                        Log Out
+                    </button>
+                    <button type="submit" disabled={isLoading} style={styles.submitButton}>
+                        {isLoading ? 'Signing In...' : 'Continue'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+const styles = {
+    overlay: {
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        zIndex: 2000,
+    },
+    dialog: {
+        backgroundColor: '#fff',
+        color: '#213547',
+        padding: '20px',
+        borderRadius: '8px',
+        width: '90%',
+        maxWidth: '360px',
+        boxShadow: '0 4px 20px rgba(0, 0, 0, 0.3)',
+        display: 'flex',
+        flexDirection: 'column',
+    },
+    label: {
+        display: 'block',
+        marginBottom: '0.5em',
+        fontWeight: 'bold',
+    },
+    input: {
+        width: '100%',
+        padding: '0.7em',
+        border: '1px solid #ddd',
+        borderRadius: '4px',
+        boxSizing: 'border-box',
+        fontSize: '1em',
+    },
+    error: {
+        color: 'red',
+        fontSize: '0.9em',
+        marginTop: '0.8em',
+        marginBottom: 0,
+    },
+    actions: {
+        display: 'flex',
+        gap: '10px',
+        marginTop: '1em',
+    },
+    cancelButton: {
+        flex: 1,
+        padding: '0.7em 1em',
+        backgroundColor: '#6c757d',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontWeight: 'bold',
+    },
+    submitButton: {
+        flex: 1,
+        padding: '0.7em 1em',
+        backgroundColor: '#646cff',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontWeight: 'bold',
+    },
+};
+
+export default SessionExpiredPrompt;
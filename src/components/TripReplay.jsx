@@ -0,0 +1,184 @@
+// TripReplay.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import { Polyline, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { getTripPositionAt } from './vehicleUtils';
+import { VehicleMarker } from './MapComponents';
+
+// How many times faster than real time the trip can be played back
+const SPEED_MULTIPLIERS = [1, 2, 5, 10, 30, 60];
+const DEFAULT_MULTIPLIER = 10;
+
+// Playback position as a clock, e.g. 05:42 or 1:05:42 (formatDuration in vehicleUtils words durations)
+function formatClock(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${minutes}:${rest}` : `${minutes}:${rest}`;
+}
+
+// Plays a trip back on the map at the pace it was driven; must be rendered inside a MapContainer
+function TripReplay({ points, label }) {
+    const map = useMap();
+    const panelRef = useRef(null);
+    const startTime = new Date(points[0].dateTime).getTime();
+    const endTime = new Date(points[points.length - 1].dateTime).getTime();
+
+    const [time, setTime] = useState(startTime);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [multiplier, setMultiplier] = useState(DEFAULT_MULTIPLIER);
+    // The animation loop reads the time from here so it isn't restarted on every frame
+    const timeRef = useRef(startTime);
+
+    const seek = (value) => {
+        timeRef.current = value;
+        setTime(value);
+    };
+
+    // Clicks and scrolls on the panel shouldn't pan or zoom the map underneath
+    useEffect(() => {
+        if (panelRef.current) {
+            L.DomEvent.disableClickPropagation(panelRef.current);
+            L.DomEvent.disableScrollPropagation(panelRef.current);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!isPlaying) return;
+
+        let frame = null;
+        let last = performance.now();
+
+        const step = (now) => {
+            const next = Math.min(timeRef.current + (now - last) * multiplier, endTime);
+            last = now;
+            timeRef.current = next;
+            setTime(next);
+
+            if (next >= endTime) {
+                setIsPlaying(false);
+            } else {
+                frame = requestAnimationFrame(step);
+            }
+        };
+
+        frame = requestAnimationFrame(step);
+        return () => cancelAnimationFrame(frame);
+    }, [isPlaying, multiplier, endTime]);
+
+    const position = getTripPositionAt(points, time);
+    const { latitude, longitude } = position;
+    const latLng = [latitude, longitude];
+
+    // Keep the vehicle in view as it drives off the edge of the map
+    useEffect(() => {
+        if (!map.getBounds().contains([latitude, longitude])) {
+            map.panTo([latitude, longitude]);
+        }
+    }, [map, latitude, longitude]);
+
+    const togglePlaying = () => {
+        // Playing again after the end starts from the beginning
+        if (!isPlaying && timeRef.current >= endTime) {
+            seek(startTime);
+        }
+        setIsPlaying(playing => !playing);
+    };
+
+    const travelled = [...points.slice(0, position.index + 1).map(point => [point.latitude, point.longitude]), latLng];
+
+    return (
+        <>
+            <Polyline positions={travelled} pathOptions={{ color: '#213547', weight: 3, opacity: 0.9 }} />
+            <VehicleMarker
+                position={latLng}
+                state={position.speed > 0 ? 'driving' : 'stopped'}
+                bearing={position.bearing}
+                label={label}
+                isSelected
+                animate={false}
+                zIndexOffset={1000}
+            />
+
+            <div ref={panelRef} style={styles.panel}>
+                <div style={styles.controls}>
+                    <button onClick={togglePlaying} style={styles.playButton} aria-label={isPlaying ? 'Pause' : 'Play'}>
+                        {isPlaying ? '❚❚' : '▶'}
+                    </button>
+                    <input
+                        type="range"
+                        min={startTime}
+                        max={endTime}
+                        step={1000}
+                        value={time}
+                        onChange={(e) => seek(Number(e.target.value))}
+                        style={styles.timeline}
+                        aria-label="Trip timeline"
+                    />
+                    <select
+                        value={multiplier}
+                        onChange={(e) => setMultiplier(Number(e.target.value))}
+                        aria-label="Playback speed"
+                    >
+                        {SPEED_MULTIPLIERS.map(value => (
+                            <option key={value} value={value}>{value}x</option>
+                        ))}
+                    </select>
+                </div>
+                <div style={styles.details}>
+                    <span>{new Date(time).toLocaleString()}</span>
+                    <span>{formatClock(time - startTime)} / {formatClock(endTime - startTime)}</span>
+                    <span>{position.speed.toFixed(0)} km/h</span>
+                    <span>{position.latitude.toFixed(5)}, {position.longitude.toFixed(5)}</span>
+                </div>
+            </div>
+        </>
+    );
+}
+
+const styles = {
+    panel: {
+        position: 'absolute',
+        bottom: '10px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 1000,
+        width: 'calc(100% - 80px)',
+        maxWidth: '520px',
+        backgroundColor: 'rgba(255, 255, 255, 0.95)',
+        borderRadius: '6px',
+        boxShadow: '0 1px 5px rgba(0, 0, 0, 0.4)',
+        padding: '8px 10px',
+        fontSize: '0.85em',
+        color: '#213547',
+    },
+    controls: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+    },
+    playButton: {
+        width: '32px',
+        height: '28px',
+        padding: 0,
+        backgroundColor: '#007bff',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+    },
+    timeline: {
+        flex: 1,
+        cursor: 'pointer',
+    },
+    details: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        justifyContent: 'space-between',
+        gap: '4px 10px',
+        marginTop: '6px',
+    },
+};
+
+export default TripReplay;
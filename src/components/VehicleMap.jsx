@@ -1,24 +1,48 @@
 // VehicleMap.jsx
-import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Polygon, Circle, Polyline } from 'react-leaflet';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { MapContainer, TileLayer, Popup, Polygon, Circle, Polyline } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
-import axios from 'axios';
+import { getGeotabClient } from './geotabClient';
+import { formatErrorMessage, isCancellationError } from './apiErrorUtils';
+import { FULL_ACCESS, isPermissionError } from './permissions';
+import FleetMap from './FleetMap';
+import LiveTrackingIndicator from './LiveTrackingIndicator';
+import TripReplay from './TripReplay';
+import ZoneEditor, { ZoneEditLayer } from './ZoneEditor';
+import ZoneHistory from './ZoneHistory';
+import { zoneToDraft } from './zoneUtils';
+import { usePolling } from './usePolling';
 
 // Import functions from the new utility file
 import {
     fetchFaultCodes,
-    calculateDistance,
-    isPointInPolygon,
+    getZoneRings,
+    createZoneIndex,
+    findContainingZones,
     fetchOdometer,
     fetchFuelConsumption,
-    calculateFuelEfficiency
+    calculateFuelEfficiency,
+    getVehicleState,
+    VEHICLE_STATES,
+    DEFAULT_SPEED_THRESHOLDS,
+    getSpeedBands,
+    splitRouteBySpeed,
+    detectStops
 } from './vehicleUtils';
 
 // Import components and styles from the new MapComponents file
-import { MapUpdater, FaultDetailModal, customIcon, styles } from './MapComponents';
+import { MapUpdater, FaultDetailModal, VehicleMarker, VehicleStatusIcon, TripSpeedRoute, SpeedLegend, StopMarker, ZoneEventMarker, styles } from './MapComponents';
 
+// Choices, in seconds, for how often live mode updates the position
+const LIVE_INTERVALS = [5, 10, 30, 60];
+const DEFAULT_LIVE_INTERVAL = Number(import.meta.env.VITE_LIVE_REFRESH_SECONDS ?? 10);
 
-function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonStyles, selectedTrip }) {
+// Speeds in km/h where the trip route changes colour, e.g. VITE_SPEED_THRESHOLDS=50,80,110
+const SPEED_BANDS = getSpeedBands(import.meta.env.VITE_SPEED_THRESHOLDS
+    ? import.meta.env.VITE_SPEED_THRESHOLDS.split(',').map(Number)
+    : DEFAULT_SPEED_THRESHOLDS);
+
+function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonStyles, selectedTrip, capabilities = FULL_ACCESS, onPermissionDenied }) {
     // Add this at the beginning of your VehicleMap component function:
 function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonStyles, selectedTrip }) {
     // Add error boundary protection at component level
@@ -92,7 +116,16 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
     const [vehicles, setVehicles] = useState([]);
     const [isLoadingVehicles, setIsLoadingVehicles] = useState(true);
     const [vehiclesError, setVehiclesError] = useState(null);
-    const [currentSelectedId, setCurrentSelectedId] = useState('');
+    const [currentSelectedId, setCurrentSelectedId] = useState(selectedVehicleId || '');
+    const [vehiclesReloadKey, setVehiclesReloadKey] = useState(0);
+    const [showFleet, setShowFleet] = useState(false); // Whole fleet on the map instead of the selected vehicle
+    const [isLive, setIsLive] = useState(false);
+    const [liveInterval, setLiveInterval] = useState(DEFAULT_LIVE_INTERVAL);
+    const [liveError, setLiveError] = useState(null);
+    const [isReplaying, setIsReplaying] = useState(false);
+    const [isEditingZones, setIsEditingZones] = useState(false);
+    const [zoneDraft, setZoneDraft] = useState(null); // Zone being drawn or changed in the geofence editor
+    const [zoneHistory, setZoneHistory] = useState(null); // { vehicleId, events } from the geofence history
 
     // Original VehicleMap states
     const [vehicleLocation, setVehicleLocation] = useState(null);
@@ -118,8 +151,14 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
     const [faultsError, setFaultsError] = useState(null);
     const [selectedFaultGroup, setSelectedFaultGroup] = useState(null);
 
+    // Abort controllers for the current zone load and the current vehicle's data load
+    const zonesControllerRef = useRef(null);
+    const vehicleDataControllerRef = useRef(null);
+
     // Fetch vehicles on component mount
     useEffect(() => {
+        const controller = new AbortController();
+
         const fetchVehicles = async () => {
             setIsLoadingVehicles(true);
             setVehiclesError(null);
@@ -130,56 +169,37 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
                 return;
             }
 
-            const apiUrl = `https://${sessionInfo.server}/apiv1/`;
-
             try {
-                const response = await axios.post(apiUrl, {
-                    jsonrpc: '2.0',
-                    method: 'Get',
-                    params: {
-                        typeName: 'Device',
-                        credentials: {
-                            database: sessionInfo.database,
-                            userName: sessionInfo.userName,
-                            sessionId: sessionInfo.sessionId,
-                        },
-                    },
-                    id: 2, // A unique ID for this request
-                }, {
-                    headers: {
-                        'Content-Type': 'application/json'
-                    }
-                });
-
-                const result = response.data.result;
+                const result = await getGeotabClient(sessionInfo).get('Device', undefined, { signal: controller.signal });
 
                 if (result) {
                     setVehicles(result);
-                    // Only pre-select if nothing is selected yet
-                    if (result.length > 0 && !currentSelectedId) {
+                    // Only pre-select if nothing is selected yet, or the remembered vehicle is gone
+                    if (result.length > 0 && !result.some(vehicle => vehicle.id === currentSelectedId)) {
                         setCurrentSelectedId(result[0].id);
                         onVehicleSelect(result[0].id);
                     }
-                } else if (response.data.error) {
-                    setVehiclesError(response.data.error.message || 'Failed to fetch vehicles.');
-                    console.error('Geotab API Error fetching devices:', response.data.error);
                 } else {
                     setVehiclesError('Failed to fetch vehicles: Unexpected API response.');
-                    console.error('Unexpected API response fetching devices:', response.data);
                 }
 
             } catch (err) {
-                console.error('Network or Request Error fetching devices:', err);
-                setVehiclesError('Could not fetch vehicles. Please try again.');
+                if (isCancellationError(err)) return;
+                console.error('Error fetching devices:', err);
+                setVehiclesError(formatErrorMessage(err, 'Could not fetch vehicles. Please try again.'));
             } finally {
-                setIsLoadingVehicles(false);
+                if (!controller.signal.aborted) {
+                    setIsLoadingVehicles(false);
+                }
             }
         };
 
         if (sessionInfo) {
             fetchVehicles();
         }
-    }, [sessionInfo, onVehicleSelect]);
+
+        return () => controller.abort();
+    }, [sessionInfo, onVehicleSelect, vehiclesReloadKey]);
 
     // Update currentSelectedId when selectedVehicleId prop changes
     useEffect(() => {
@@ -194,6 +214,12 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
         onVehicleSelect(selectedId); // Notify parent component
     };
 
+    // Clicking a vehicle on the fleet map selects it, as the dropdown would
+    const handleFleetVehicleSelect = (vehicleId) => {
+        setCurrentSelectedId(vehicleId);
+        onVehicleSelect(vehicleId);
+    };
+
     const fetchZones = async () => {
         if (!sessionInfo || !sessionInfo.sessionId) {
             setZonesError('Session information is missing.');
@@ -201,46 +227,40 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
             return;
         }
 
+        zonesControllerRef.current?.abort();
+        if (!capabilities.viewZones) {
+            setZones([]);
+            setIsLoadingZones(false);
+            return;
+        }
+        const controller = new AbortController();
+        zonesControllerRef.current = controller;
+
         setIsLoadingZones(true);
         setZonesError(null);
 
-        const apiUrl = `https://${sessionInfo.server}/apiv1/`;
-
         try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    method: 'Get',
-                    params: {
-                        typeName: 'Zone',
-                        credentials: {
-                            database: sessionInfo.database,
-                            userName: sessionInfo.userName,
-                            sessionId: sessionInfo.sessionId,
-                        },
-                    },
-                    id: 4,
-                }),
-            });
-            const data = await response.json();
-            const result = data.result;
+            const result = await getGeotabClient(sessionInfo).get('Zone', undefined, { signal: controller.signal });
 
             if (result) {
                 setZones(result);
-            } else if (data.error) {
-                setZonesError(data.error.message || 'Failed to fetch zones.');
-                console.error('Geotab API Error fetching zones:', data.error);
             } else {
                 setZonesError('No zones found.');
                 setZones([]);
             }
         } catch (err) {
-            console.error('Network or Request Error fetching zones:', err);
-            setZonesError('Could not fetch zones. Please try again.');
+            if (isCancellationError(err)) return;
+            if (isPermissionError(err)) {
+                onPermissionDenied?.('viewZones');
+                setZones([]);
+                return;
+            }
+            console.error('Error fetching zones:', err);
+            setZonesError(formatErrorMessage(err, 'Could not fetch zones. Please try again.'));
         } finally {
-            setIsLoadingZones(false);
+            if (!controller.signal.aborted) {
+                setIsLoadingZones(false);
+            }
         }
     };
 
@@ -248,9 +268,17 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
         if (sessionInfo) {
             fetchZones();
         }
+        return () => zonesControllerRef.current?.abort();
     }, [sessionInfo]);
 
-    const fetchVehicleLocation = async () => {
+    // Vehicles and zones are cached by the API client, so drop them before reloading
+    const handleReloadStaticData = () => {
+        getGeotabClient(sessionInfo).invalidate('Device', 'Zone');
+        setVehiclesReloadKey(key => key + 1);
+        fetchZones();
+    };
+
+    const fetchVehicleLocation = async (signal) => {
         if (!sessionInfo || !selectedVehicleId) {
             setVehicleLocation(null);
             setIsLoadingLocation(false);
@@ -262,38 +290,16 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
         setIsLoadingLocation(true);
         setLocationError(null);
 
-        const apiUrl = `https://${sessionInfo.server}/apiv1/`;
-
         try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jsonrpc: '2.0',
-                    method: 'Get',
-                    params: {
-                        typeName: 'DeviceStatusInfo',
-                        search: {
-                            deviceSearch: { id: selectedVehicleId }
-                        },
-                        resultsLimit: 1,
-                        credentials: {
-                            database: sessionInfo.database,
-                            userName: sessionInfo.userName,
-                            sessionId: sessionInfo.sessionId,
-                        },
-                    },
-                    id: 3,
-                }),
-            });
+            const result = await getGeotabClient(sessionInfo).get('DeviceStatusInfo', {
+                deviceSearch: { id: selectedVehicleId }
+            }, { resultsLimit: 1, signal });
 
-            const data = await response.json();
-            const result = data.result;
             if (result && result.length > 0) {
                 const latestStatus = result[0];
                 let odometer = latestStatus.odometer;
-                if (odometer === undefined || odometer === null) {
-                    odometer = await fetchOdometer(sessionInfo, selectedVehicleId);
+                if ((odometer === undefined || odometer === null) && capabilities.viewStatusData) {
+                    odometer = await fetchOdometer(sessionInfo, selectedVehicleId, { signal });
                 }
                 setVehicleLocation({
                     latitude: latestStatus.latitude,
@@ -302,6 +308,8 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
                     dateTime: latestStatus.dateTime,
                     ignition: latestStatus.ignition,
                     bearing: latestStatus.bearing,
+                    isDriving: latestStatus.isDriving,
+                    isDeviceCommunicating: latestStatus.isDeviceCommunicating,
                     odometer
                 });
             } else {
@@ -309,23 +317,30 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
                 console.log('No DeviceStatusInfo found for this vehicle.');
             }
         } catch (err) {
+            if (isCancellationError(err)) return;
             console.error('Error fetching vehicle location:', err);
-            setLocationError('Could not fetch vehicle location. Please try again.');
+            setLocationError(formatErrorMessage(err, 'Could not fetch vehicle location. Please try again.'));
         } finally {
-            setIsLoadingLocation(false);
+            if (!signal.aborted) {
+                setIsLoadingLocation(false);
+            }
         }
     };
 
-    const fetchFuelData = async () => {
-        if (!sessionInfo || !selectedVehicleId) {
+    const fetchFuelData = async (signal) => {
+        if (!sessionInfo || !selectedVehicleId || !capabilities.viewStatusData) {
             return;
         }
 
         setIsLoadingFuel(true);
 
         try {
-            const currentFuel = await fetchFuelConsumption(sessionInfo, selectedVehicleId);
-            const efficiency = await calculateFuelEfficiency(sessionInfo, selectedVehicleId, 24);
+            // Started together so the current reading is batched with the location request;
+            // the efficiency figure is a nice-to-have, so it yields when the rate-limit budget is low
+            const [currentFuel, efficiency] = await Promise.all([
+                fetchFuelConsumption(sessionInfo, selectedVehicleId, { signal }),
+                calculateFuelEfficiency(sessionInfo, selectedVehicleId, 24, { signal, priority: 'low' })
+            ]);
 
             setFuelData({
                 ...currentFuel,
@@ -333,14 +348,17 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
             });
 
         } catch (err) {
+            if (isCancellationError(err)) return;
             console.error('Error fetching fuel data:', err);
         } finally {
-            setIsLoadingFuel(false);
+            if (!signal.aborted) {
+                setIsLoadingFuel(false);
+            }
         }
     };
 
-    const fetchFaultData = async () => {
-        if (!sessionInfo || !selectedVehicleId) {
+    const fetchFaultData = async (signal) => {
+        if (!sessionInfo || !selectedVehicleId || !capabilities.viewFaults) {
             return;
         }
 
@@ -348,74 +366,137 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
         setFaultsError(null);
 
         try {
-            const groupedFaults = await fetchFaultCodes(sessionInfo, selectedVehicleId);
+            const groupedFaults = await fetchFaultCodes(sessionInfo, selectedVehicleId, { signal, priority: 'low' });
             setGroupedFaultCodes(groupedFaults);
         } catch (err) {
+            if (isCancellationError(err)) return;
+            if (isPermissionError(err)) {
+                onPermissionDenied?.('viewFaults');
+                return;
+            }
             console.error('Error fetching fault codes:', err);
-            setFaultsError(err.message || 'Failed to fetch fault codes');
+            setFaultsError(formatErrorMessage(err, 'Failed to fetch fault codes'));
         } finally {
-            setIsLoadingFaults(false);
+            if (!signal.aborted) {
+                setIsLoadingFaults(false);
+            }
         }
     };
 
+    // Loads location, fuel and faults for the selected vehicle, cancelling any earlier load
+    // so a slow response for a previous vehicle can't overwrite the current one
+    const loadVehicleData = () => {
+        vehicleDataControllerRef.current?.abort();
+        const controller = new AbortController();
+        vehicleDataControllerRef.current = controller;
+
+        fetchVehicleLocation(controller.signal);
+        fetchFuelData(controller.signal);
+        fetchFaultData(controller.signal);
+    };
+
     useEffect(() => {
         if (selectedVehicleId) {
-            fetchVehicleLocation();
-            fetchFuelData();
-            fetchFaultData();
+            loadVehicleData();
         }
+        return () => vehicleDataControllerRef.current?.abort();
     }, [selectedVehicleId, sessionInfo]);
 
+    // Live mode only moves the marker; fuel and faults change too slowly to be worth polling
+    const refreshLivePosition = async () => {
+        // Shares the current vehicle's load, so a switch of vehicle cancels it
+        const signal = vehicleDataControllerRef.current?.signal;
+        try {
+            const [status] = await getGeotabClient(sessionInfo).get('DeviceStatusInfo', {
+                deviceSearch: { id: selectedVehicleId }
+            }, { resultsLimit: 1, signal });
+
+            if (status) {
+                setVehicleLocation(current => ({
+                    ...current,
+                    latitude: status.latitude,
+                    longitude: status.longitude,
+                    speed: status.speed,
+                    dateTime: status.dateTime,
+                    ignition: status.ignition,
+                    bearing: status.bearing,
+                    isDriving: status.isDriving,
+                    isDeviceCommunicating: status.isDeviceCommunicating,
+                    odometer: status.odometer ?? current?.odometer
+                }));
+            }
+            setLiveError(null);
+        } catch (err) {
+            if (isCancellationError(err)) return;
+            console.error('Error updating live position:', err);
+            setLiveError(formatErrorMessage(err, 'Could not update the position.'));
+        }
+    };
+
+    usePolling(refreshLivePosition, liveInterval * 1000, isLive && !showFleet && Boolean(selectedVehicleId) && !isLoadingLocation);
+
+    // Rebuilt only when the zones change, so each position update checks just the zones near it
+    const zoneIndex = useMemo(() => createZoneIndex(zones), [zones]);
+
     useEffect(() => {
         if (!vehicleLocation) {
             setCurrentGeofenceStatus("No location data available.");
             return;
         }
 
-        let inZone = false;
         if (zones.length > 0) {
-            for (const zone of zones) {
-                const vehiclePoint = { latitude: vehicleLocation.latitude, longitude: vehicleLocation.longitude };
-
-                if (zone.geometryType === 'Polygon' && zone.points && zone.points.length > 0) {
-                    const polygonPositionsForCheck = zone.points.map(point => [point.y, point.x]);
-                    if (isPointInPolygon(vehiclePoint, polygonPositionsForCheck)) {
-                        setCurrentGeofenceStatus(`Inside: ${zone.name}`);
-                        inZone = true;
-                        break;
-                    }
-                } else if (zone.geometryType === 'Circle' && zone.center && zone.radius) {
-                    const centerPoint = { latitude: zone.center.latitude, longitude: zone.center.longitude };
-                    const distance = calculateDistance(vehiclePoint, centerPoint);
-                    if (distance <= zone.radius) {
-                        setCurrentGeofenceStatus(`Inside: ${zone.name}`);
-                        inZone = true;
-                        break;
-                    }
-                }
-            }
-            if (!inZone) {
-                setCurrentGeofenceStatus("Outside all geofences");
-            }
+            // Nested zones are all listed, the most specific (smallest) first
+            const containing = findContainingZones(zoneIndex, vehicleLocation);
+            setCurrentGeofenceStatus(containing.length > 0
+                ? `Inside: ${containing.map(zone => zone.name).join(', ')}`
+                : "Outside all geofences");
+        } else if (!capabilities.viewZones) {
+            setCurrentGeofenceStatus("Geofences not available with your security clearance.");
         } else {
             setCurrentGeofenceStatus("No geofences loaded or configured.");
         }
-    }, [vehicleLocation, zones]);
+    }, [vehicleLocation, zones, zoneIndex, capabilities.viewZones]);
 
     const defaultMapCenter = [45.4215, -75.6972];
     const currentPosition = vehicleLocation ? [vehicleLocation.latitude, vehicleLocation.longitude] : defaultMapCenter;
 
-    const getTripPolyline = (trip) => {
-        if (trip && Array.isArray(trip.path) && trip.path.length > 0) {
-            const validPath = trip.path.filter(p =>
+    // Memoised so the map only refits when the trip changes, not on every edit or replay frame
+    const tripPolylinePositions = useMemo(() => {
+        if (selectedTrip && Array.isArray(selectedTrip.path) && selectedTrip.path.length > 0) {
+            return selectedTrip.path.filter(p =>
                 Array.isArray(p) && p.length === 2 && typeof p[0] === 'number' && typeof p[1] === 'number'
             );
-            return validPath;
         }
         return [];
+    }, [selectedTrip]);
+    // Trips fetched with their log records can show how fast each stretch was driven
+    const tripSpeedRuns = selectedTrip?.points?.length > 1 ? splitRouteBySpeed(selectedTrip.points, SPEED_BANDS) : [];
+    const tripStops = useMemo(() => detectStops(selectedTrip?.points || []), [selectedTrip]);
+
+    // Replay needs the timed points of a trip with somewhere to go
+    const canReplay = !showFleet && selectedTrip?.points?.length > 1;
+    const showReplay = isReplaying && canReplay;
+
+    // Editing needs both rights; the API refuses the changes otherwise
+    const canEditZones = capabilities.viewZones && capabilities.editZones;
+    const showZoneEditor = isEditingZones && canEditZones && !showFleet;
+
+    const handleZoneSaved = () => {
+        setZoneDraft(null);
+        fetchZones();
+    };
+
+    // Entries and exits only belong on the map of the vehicle they were worked out for
+    const zoneEvents = zoneHistory?.vehicleId === selectedVehicleId ? zoneHistory.events : [];
+
+    const handleZoneClick = (zone) => {
+        if (showZoneEditor && !zoneDraft) {
+            setZoneDraft(zoneToDraft(zone));
+        }
     };
 
-    const tripPolylinePositions = getTripPolyline(selectedTrip);
+    const vehicleState = vehicleLocation ? getVehicleState(vehicleLocation) : null;
+    const selectedVehicleName = vehicles.find(vehicle => vehicle.id === selectedVehicleId)?.name;
 
     const formatFuelDisplay = () => {
         if (isLoadingFuel) return 'Loading...';
@@ -481,14 +562,111 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
                             </option>
                         ))}
                     </select>
+                    <button
+                        onClick={handleReloadStaticData}
+                        disabled={isLoadingZones}
+                        style={{
+                            ...commonStyles.button,
+                            width: 'auto',
+                            marginTop: '0',
+                            backgroundColor: '#17a2b8',
+                            fontSize: '0.9em',
+                            padding: '0.5em 1em'
+                        }}
+                    >
+                        Reload Vehicles & Geofences
+                    </button>
+                    <button
+                        onClick={() => setShowFleet(show => !show)}
+                        style={{
+                            ...commonStyles.button,
+                            width: 'auto',
+                            marginTop: '0',
+                            backgroundColor: showFleet ? '#6c757d' : '#28a745',
+                            fontSize: '0.9em',
+                            padding: '0.5em 1em'
+                        }}
+                    >
+                        {showFleet ? 'Show Selected Vehicle' : 'Show Whole Fleet'}
+                    </button>
                 </div>
             )}
+
+            {showFleet && vehicles.length > 0 && (
+                <FleetMap
+                    sessionInfo={sessionInfo}
+                    vehicles={vehicles}
+                    selectedVehicleId={selectedVehicleId}
+                    onVehicleSelect={handleFleetVehicleSelect}
+                />
+            )}
             
             {!isLoadingVehicles && !vehiclesError && vehicles.length === 0 && (
                 <p>No vehicles found in this database.</p>
             )}
 
             {/* Loading and error states */}
+            {selectedVehicleId && !showFleet && (
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '10px', marginBottom: '5px', fontSize: '0.9em' }}>
+                    {canEditZones && (
+                        <button
+                            onClick={() => {
+                                setIsEditingZones(editing => !editing);
+                                setZoneDraft(null);
+                            }}
+                            style={{
+                                ...commonStyles.button,
+                                width: 'auto',
+                                marginTop: '0',
+                                backgroundColor: showZoneEditor ? '#6c757d' : '#6f42c1',
+                                fontSize: '0.9em',
+                                padding: '0.3em 0.8em'
+                            }}
+                        >
+                            {showZoneEditor ? 'Stop Editing Geofences' : 'Edit Geofences'}
+                        </button>
+                    )}
+                    {canReplay && (
+                        <button
+                            onClick={() => setIsReplaying(replaying => !replaying)}
+                            style={{
+                                ...commonStyles.button,
+                                width: 'auto',
+                                marginTop: '0',
+                                backgroundColor: showReplay ? '#6c757d' : '#007bff',
+                                fontSize: '0.9em',
+                                padding: '0.3em 0.8em'
+                            }}
+                        >
+                            {showReplay ? 'Stop Replay' : 'Replay Trip'}
+                        </button>
+                    )}
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '5px', cursor: 'pointer' }}>
+                        <input
+                            type="checkbox"
+                            checked={isLive}
+                            onChange={(e) => {
+                                setIsLive(e.target.checked);
+                                setLiveError(null);
+                            }}
+                        />
+                        Live tracking
+                    </label>
+                    <select
+                        value={liveInterval}
+                        onChange={(e) => setLiveInterval(Number(e.target.value))}
+                        disabled={!isLive}
+                        aria-label="Live update interval"
+                    >
+                        {Array.from(new Set([...LIVE_INTERVALS, DEFAULT_LIVE_INTERVAL])).sort((a, b) => a - b).map(seconds => (
+                            <option key={seconds} value={seconds}>every {seconds}s</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+            {selectedVehicleId && !showFleet && vehicleLocation && (
+                <LiveTrackingIndicator dateTime={vehicleLocation.dateTime} isLive={isLive} error={liveError} />
+            )}
             {isLoadingLocation && <p>Loading vehicle location...</p>}
             {locationError && <p style={commonStyles.error}>Error: {locationError}</p>}
             {isLoadingZones && <p>Loading geofences...</p>}
@@ -496,69 +674,116 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
 
             {!isLoadingLocation && !locationError && selectedVehicleId && (
                 <>
-                    <div style={styles.mapContainer}>
-                        <MapContainer center={currentPosition} zoom={13} style={styles.map}>
-                            <TileLayer
-                                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                                attribution='&copy; <a href="http://osm.org/copyright">OpenStreetMap</a> contributors'
-                            />
-
-                            {zones.map(zone => {
-                                const zoneColor = zone.color || '#646cff';
-                                const fillOpacity = 0.2;
-                                const strokeOpacity = 0.8;
-
-                                if (zone.geometryType === 'Polygon' && zone.points && zone.points.length > 0) {
-                                    const polygonPositionsForCheck = zone.points.map(point => [point.y, point.x]);
-                                    return (
-                                        <Polygon
-                                            key={zone.id}
-                                            positions={polygonPositionsForCheck}
-                                            pathOptions={{ color: zoneColor, fillColor: zoneColor, fillOpacity, weight: 2, opacity: strokeOpacity }}
-                                        >
-                                            <Popup>Zone: {zone.name}</Popup>
-                                        </Polygon>
-                                    );
-                                } else if (zone.geometryType === 'Circle' && zone.center && zone.radius) {
-                                    return (
-                                        <Circle
-                                            key={zone.id}
-                                            center={[zone.center.latitude, zone.center.longitude]}
-                                            radius={zone.radius}
-                                            pathOptions={{ color: zoneColor, fillColor: zoneColor, fillOpacity, weight: 2, opacity: strokeOpacity }}
-                                        >
-                                            <Popup>Zone: {zone.name} (Radius: {zone.radius}m)</Popup>
-                                        </Circle>
-                                    );
-                                }
-                                return null;
-                            })}
-
-                            {vehicleLocation && (
-                                <Marker position={currentPosition} icon={customIcon}>
-                                    <Popup>
-                                        Vehicle ID: {selectedVehicleId} <br/>
-                                        Speed: {vehicleLocation.speed ? vehicleLocation.speed.toFixed(1) : 'N/A'} km/h <br/>
-                                        Time: {new Date(vehicleLocation.dateTime).toLocaleTimeString()} <br/>
-                                        Date: {new Date(vehicleLocation.dateTime).toLocaleDateString()}
-                                        <br/> <strong>Geofence:</strong> {currentGeofenceStatus}
-                                        <br/> <strong>Fuel:</strong> {formatFuelDisplay()}
-                                    </Popup>
-                                </Marker>
-                            )}
-
-                            {tripPolylinePositions.length > 0 && (
-                                <>
-                                    <Polyline
-                                        positions={tripPolylinePositions}
-                                        pathOptions={{ color: 'orange', weight: 4, opacity: 0.8 }}
-                                    />
-                                </>
-                            )}
-
-                            <MapUpdater center={currentPosition} polylinePositions={tripPolylinePositions} />
-                        </MapContainer>
-                    </div>
+                    {showZoneEditor && (
+                        <ZoneEditor
+                            sessionInfo={sessionInfo}
+                            zones={zones}
+                            draft={zoneDraft}
+                            onDraftChange={setZoneDraft}
+                            onSaved={handleZoneSaved}
+                            onClose={() => setIsEditingZones(false)}
+                            onPermissionDenied={onPermissionDenied}
+                            commonStyles={commonStyles}
+                        />
+                    )}
+                    {!showFleet && tripSpeedRuns.length > 0 && <SpeedLegend bands={SPEED_BANDS} />}
+                    {!showFleet && (
+                        <div style={styles.mapContainer}>
+                            <MapContainer center={currentPosition} zoom={13} style={styles.map}>
+                                <TileLayer
+                                    url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                                    attribution='&copy; <a href="http://osm.org/copyright">OpenStreetMap</a> contributors'
+                                />
+
+                                {zones.filter(zone => !(showZoneEditor && zone.id === zoneDraft?.id)).map(zone => {
+                                    const zoneColor = zone.color || '#646cff';
+                                    const fillOpacity = 0.2;
+                                    const strokeOpacity = 0.8;
+
+                                    if (zone.geometryType === 'Polygon' && zone.points && zone.points.length > 0) {
+                                        // Outer boundary followed by any holes
+                                        const polygonRings = getZoneRings(zone);
+                                        return (
+                                            <Polygon
+                                                key={zone.id}
+                                                positions={polygonRings}
+                                                pathOptions={{ color: zoneColor, fillColor: zoneColor, fillOpacity, weight: 2, opacity: strokeOpacity }}
+                                                eventHandlers={{ click: () => handleZoneClick(zone) }}
+                                            >
+                                                {!showZoneEditor && <Popup>Zone: {zone.name}</Popup>}
+                                            </Polygon>
+                                        );
+                                    } else if (zone.geometryType === 'Circle' && zone.center && zone.radius) {
+                                        return (
+                                            <Circle
+                                                key={zone.id}
+                                                center={[zone.center.latitude, zone.center.longitude]}
+                                                radius={zone.radius}
+                                                pathOptions={{ color: zoneColor, fillColor: zoneColor, fillOpacity, weight: 2, opacity: strokeOpacity }}
+                                                eventHandlers={{ click: () => handleZoneClick(zone) }}
+                                            >
+                                                {!showZoneEditor && <Popup>Zone: {zone.name} (Radius: {zone.radius}m)</Popup>}
+                                            </Circle>
+                                        );
+                                    }
+                                    return null;
+                                })}
+
+                                {vehicleLocation && !showReplay && (
+                                    <VehicleMarker
+                                        key={selectedVehicleId}
+                                        position={currentPosition}
+                                        state={vehicleState}
+                                        bearing={vehicleLocation.bearing}
+                                        label={selectedVehicleName}
+                                    >
+                                        <Popup>
+                                            Vehicle: {selectedVehicleName || selectedVehicleId} <br/>
+                                            Status: <VehicleStatusIcon state={vehicleState} bearing={vehicleLocation.bearing} /> {VEHICLE_STATES[vehicleState].label} <br/>
+                                            Speed: {vehicleLocation.speed ? vehicleLocation.speed.toFixed(1) : 'N/A'} km/h <br/>
+                                            Time: {new Date(vehicleLocation.dateTime).toLocaleTimeString()} <br/>
+                                            Date: {new Date(vehicleLocation.dateTime).toLocaleDateString()}
+                                            <br/> <strong>Geofence:</strong> {currentGeofenceStatus}
+                                            {capabilities.viewStatusData && (
+                                                <>
+                                                    <br/> <strong>Fuel:</strong> {formatFuelDisplay()}
+                                                </>
+                                            )}
+                                        </Popup>
+                                    </VehicleMarker>
+                                )}
+
+                                {tripSpeedRuns.length > 0 ? (
+                                    <TripSpeedRoute runs={tripSpeedRuns} />
+                                ) : tripPolylinePositions.length > 0 && (
+                                    <>
+                                        <Polyline
+                                            positions={tripPolylinePositions}
+                                            pathOptions={{ color: 'orange', weight: 4, opacity: 0.8 }}
+                                        />
+                                    </>
+                                )}
+
+                                {tripStops.map((stop, index) => (
+                                    <StopMarker key={stop.arrival} stop={stop} number={index + 1} />
+                                ))}
+
+                                {zoneEvents.map((event, index) => (
+                                    <ZoneEventMarker key={index} event={event} />
+                                ))}
+
+                                {showZoneEditor && zoneDraft && (
+                                    <ZoneEditLayer draft={zoneDraft} onChange={setZoneDraft} />
+                                )}
+
+                                {showReplay && (
+                                    <TripReplay key={selectedTrip.id} points={selectedTrip.points} label={selectedVehicleName} />
+                                )}
+
+                                <MapUpdater center={currentPosition} polylinePositions={tripPolylinePositions} />
+                            </MapContainer>
+                        </div>
+                    )}
                     {vehicleLocation && (
                         <div style={styles.infoActionWrapper}>
                             <div style={styles.dataCardsContainer}>
@@ -568,9 +793,12 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
                                         Vehicle Information
                                     </p>
                                     <p><strong>Last Updated:</strong> {new Date(vehicleLocation.dateTime).toLocaleString()}</p>
+                                    <p>
+                                        <strong>Status:</strong> <VehicleStatusIcon state={vehicleState} bearing={vehicleLocation.bearing} /> {VEHICLE_STATES[vehicleState].label}
+                                    </p>
                                     <p><strong>Speed:</strong> {vehicleLocation.speed ? vehicleLocation.speed.toFixed(1) : 'N/A'} km/h</p>
                                     <p><strong>Ignition:</strong> {vehicleLocation.ignition ? 'On' : 'Off'}</p>
-                                    <p><strong>Fuel:</strong> {formatFuelDisplay()}</p>
+                                    {capabilities.viewStatusData && <p><strong>Fuel:</strong> {formatFuelDisplay()}</p>}
                                     <p>
                                         <strong>Odometer:</strong> {
                                             vehicleLocation.odometer !== undefined && vehicleLocation.odometer !== null
@@ -590,78 +818,87 @@ function VehicleMap({ sessionInfo, onVehicleSelect, selectedVehicleId, commonSty
                                 </div>
 
                                 {/* ENHANCED: Fault Codes Card with click functionality and grouping */}
-                                <div style={styles.faultCodesBox}>
-                                    <p style={{ fontWeight: 'bold', marginBottom: '10px', borderBottom: '1px solid #ddd', paddingBottom: '5px', textAlign: 'center' }}>
-                                        Fault Codes
-                                    </p>
-                                    {isLoadingFaults && <p style={{ fontSize: '0.8em', color: '#666' }}>Loading fault codes...</p>}
-                                    {faultsError && <p style={{ fontSize: '0.8em', color: 'red' }}>Error: {faultsError}</p>}
-                                    {!isLoadingFaults && !faultsError && (
-                                        <div style={styles.faultCodesContent}>
-                                            {groupedFaultCodes.length === 0 ? (
-                                                <p style={{ fontSize: '0.8em', color: '#666', fontStyle: 'italic' }}>No fault codes found</p>
-                                            ) : (
-                                                <div style={styles.faultCodesList}>
-                                                    {groupedFaultCodes.slice(0, 8).map((faultGroup, index) => (
-                                                        <div
-                                                            key={index}
-                                                            className="fault-group-item" // Add class for hover effect
-                                                            style={styles.faultGroupItem}
-                                                            onClick={() => setSelectedFaultGroup(faultGroup)}
-                                                        >
-                                                            <div style={styles.faultGroupHeader}>
-                                                                <div style={{ fontSize: '0.8em', fontWeight: 'bold', color: '#333' }}>
-                                                                    {faultGroup.diagnosticName}
-                                                                </div>
-                                                                <div style={styles.faultBadges}>
-                                                                    {faultGroup.activeFaults > 0 && (
-                                                                        <span style={styles.activeBadge}>
-                                                                            {faultGroup.activeFaults} Active
-                                                                        </span>
-                                                                    )}
-                                                                    {faultGroup.inactiveFaults > 0 && (
-                                                                        <span style={styles.inactiveBadge}>
-                                                                            {faultGroup.inactiveFaults} Inactive
-                                                                        </span>
-                                                                    )}
+                                {capabilities.viewFaults && (
+                                    <div style={styles.faultCodesBox}>
+                                        <p style={{ fontWeight: 'bold', marginBottom: '10px', borderBottom: '1px solid #ddd', paddingBottom: '5px', textAlign: 'center' }}>
+                                            Fault Codes
+                                        </p>
+                                        {isLoadingFaults && <p style={{ fontSize: '0.8em', color: '#666' }}>Loading fault codes...</p>}
+                                        {faultsError && <p style={{ fontSize: '0.8em', color: 'red' }}>Error: {faultsError}</p>}
+                                        {!isLoadingFaults && !faultsError && (
+                                            <div style={styles.faultCodesContent}>
+                                                {groupedFaultCodes.length === 0 ? (
+                                                    <p style={{ fontSize: '0.8em', color: '#666', fontStyle: 'italic' }}>No fault codes found</p>
+                                                ) : (
+                                                    <div style={styles.faultCodesList}>
+                                                        {groupedFaultCodes.slice(0, 8).map((faultGroup, index) => (
+                                                            <div
+                                                                key={index}
+                                                                className="fault-group-item" // Add class for hover effect
+                                                                style={styles.faultGroupItem}
+                                                                onClick={() => setSelectedFaultGroup(faultGroup)}
+                                                            >
+                                                                <div style={styles.faultGroupHeader}>
+                                                                    <div style={{ fontSize: '0.8em', fontWeight: 'bold', color: '#333' }}>
+                                                                        {faultGroup.diagnosticName}
+                                                                    </div>
+                                                                    <div style={styles.faultBadges}>
+                                                                        {faultGroup.activeFaults > 0 && (
+                                                                            <span style={styles.activeBadge}>
+                                                                                {faultGroup.activeFaults} Active
+                                                                            </span>
+                                                                        )}
+                                                                        {faultGroup.inactiveFaults > 0 && (
+                                                                            <span style={styles.inactiveBadge}>
+                                                                                {faultGroup.inactiveFaults} Inactive
+                                                                            </span>
+                                                                        )}
+                                                                    </div>
                                                                 </div>
-                                                            </div>
-                                                            <div style={styles.faultGroupDetails}>
-                                                                <div style={{ fontSize: '0.7em', color: '#666' }}>
-                                                                    Total: {faultGroup.count} occurrence{faultGroup.count !== 1 ? 's' : ''}
+                                                                <div style={styles.faultGroupDetails}>
+                                                                    <div style={{ fontSize: '0.7em', color: '#666' }}>
+                                                                        Total: {faultGroup.count} occurrence{faultGroup.count !== 1 ? 's' : ''}
+                                                                    </div>
+                                                                    <div style={{ fontSize: '0.7em', color: '#666' }}>
+                                                                        Latest: {new Date(faultGroup.mostRecentDate).toLocaleDateString()}
+                                                                    </div>
                                                                 </div>
-                                                                <div style={{ fontSize: '0.7em', color: '#666' }}>
-                                                                    Latest: {new Date(faultGroup.mostRecentDate).toLocaleDateString()}
+                                                                <div style={styles.clickHint}>
+                                                                    Click for details →
                                                                 </div>
                                                             </div>
-                                                            <div style={styles.clickHint}>
-                                                                Click for details →
+                                                        ))}
+                                                        {groupedFaultCodes.length > 8 && (
+                                                            <div style={{ fontSize: '0.75em', color: '#666', textAlign: 'center', marginTop: '5px' }}>
+                                                                ...and {groupedFaultCodes.length - 8} more fault groups
                                                             </div>
-                                                        </div>
-                                                    ))}
-                                                    {groupedFaultCodes.length > 8 && (
-                                                        <div style={{ fontSize: '0.75em', color: '#666', textAlign: 'center', marginTop: '5px' }}>
-                                                            ...and {groupedFaultCodes.length - 8} more fault groups
-                                                        </div>
-                                                    )}
-                                                </div>
-                                            )}
-                                        </div>
-                                    )}
-                                </div>
+                                                        )}
+                                                    </div>
+                                                )}
+                                            </div>
+                                        )}
+                                    </div>
+                                )}
                             </div>
 
                             <button
-                                onClick={() => {
-                                    fetchVehicleLocation();
-                                    fetchFuelData();
-                                    fetchFaultData();
-                                }}
+                                onClick={loadVehicleData}
                                 style={commonStyles.button}
                                 disabled={isLoadingLocation || isLoadingFuel || isLoadingFaults}
                             >
                                 {(isLoadingLocation || isLoadingFuel || isLoadingFaults) ? 'Refreshing...' : 'Refresh Location, Fuel & Faults'}
                             </button>
+
+                            {capabilities.viewZones && zones.length > 0 && (
+                                <ZoneHistory
+                                    key={selectedVehicleId}
+                                    sessionInfo={sessionInfo}
+                                    vehicleId={selectedVehicleId}
+                                    zones={zones}
+                                    onEventsChange={(events) => setZoneHistory({ vehicleId: selectedVehicleId, events })}
+                                    commonStyles={commonStyles}
+                                />
+                            )}
                         </div>
                     )}
                     {!vehicleLocation && <p>No real-time location data available for this vehicle yet. Click 'Refresh Location, Fuel & Faults' to fetch it.</p>}
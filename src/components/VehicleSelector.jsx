@@ -1,11 +1,13 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { getGeotabClient } from './geotabClient';
+import { formatErrorMessage, isCancellationError } from './apiErrorUtils';
 
 function VehicleSelector({ sessionInfo, onVehicleSelect, commonStyles }) {
     const [vehicles, setVehicles] = useState([]);
     const [isLoadingVehicles, setIsLoadingVehicles] = useState(true);
     const [vehiclesError, setVehiclesError] = useState(null);
     const [currentSelectedId, setCurrentSelectedId] = useState('');
+    const controllerRef = useRef(null);
 
     // Memoize the fetch function to prevent unnecessary re-renders
     const fetchVehicles = useCallback(async () => {
@@ -15,37 +17,20 @@ function VehicleSelector({ sessionInfo, onVehicleSelect, commonStyles }) {
             return;
         }
 
+        // Only the latest request may update the list
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+
         setIsLoadingVehicles(true);
         setVehiclesError(null);
 
-        const apiUrl = `https://${sessionInfo.server}/apiv1/`;
-
         try {
-            const response = await axios.post(apiUrl, {
-                jsonrpc: '2.0',
-                method: 'Get',
-                params: {
-                    typeName: 'Device',
-                    credentials: {
-                        database: sessionInfo.database,
-                        userName: sessionInfo.userName,
-                        sessionId: sessionInfo.sessionId,
-                    },
-                },
-                id: 2,
-            }, {
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000 // 30 second timeout
+            const result = await getGeotabClient(sessionInfo).get('Device', undefined, {
+                timeout: 30000, // 30 second timeout
+                signal: controller.signal
             });
 
-            if (!response || !response.data) {
-                throw new Error('Invalid response from server');
-            }
-
-            const result = response.data.result;
-
             if (result && Array.isArray(result)) {
                 setVehicles(result);
                 // Only pre-select if nothing is selected yet and we have vehicles
@@ -56,33 +41,19 @@ function VehicleSelector({ sessionInfo, onVehicleSelect, commonStyles }) {
                         onVehicleSelect(firstVehicleId);
                     }
                 }
-            } else if (response.data.error) {
-                const errorMessage = response.data.error.message || 'Failed to fetch vehicles.';
-                setVehiclesError(errorMessage);
-                console.error('Geotab API Error fetching devices:', response.data.error);
             } else {
                 setVehiclesError('Failed to fetch vehicles: Unexpected API response.');
-                console.error('Unexpected API response fetching devices:', response.data);
+                console.error('Unexpected API response fetching devices:', result);
             }
 
         } catch (err) {
-            console.error('Network or Request Error fetching devices:', err);
-            
-            let errorMessage = 'Could not fetch vehicles. Please try again.';
-            
-            if (err.response) {
-                errorMessage = `Server error (${err.response.status}): ${err.response.statusText || 'Unknown error'}`;
-            } else if (err.request) {
-                errorMessage = 'Network error. Please check your internet connection.';
-            } else if (err.code === 'ECONNABORTED') {
-                errorMessage = 'Request timed out. Please try again.';
-            } else if (err.message) {
-                errorMessage = `Error: ${err.message}`;
-            }
-            
-            setVehiclesError(errorMessage);
+            if (isCancellationError(err)) return;
+            console.error('Error fetching devices:', err);
+            setVehiclesError(formatErrorMessage(err, 'Could not fetch vehicles. Please try again.'));
         } finally {
-            setIsLoadingVehicles(false);
+            if (!controller.signal.aborted) {
+                setIsLoadingVehicles(false);
+            }
         }
     }, [sessionInfo, currentSelectedId, onVehicleSelect]);
 
@@ -96,6 +67,8 @@ function VehicleSelector({ sessionInfo, onVehicleSelect, commonStyles }) {
             setVehiclesError(null);
             setIsLoadingVehicles(false);
         }
+
+        return () => controllerRef.current?.abort();
     }, [sessionInfo, fetchVehicles]);
 
     const handleSelectChange = useCallback((e) => {
@@ -113,8 +86,12 @@ function VehicleSelector({ sessionInfo, onVehicleSelect, commonStyles }) {
     }, [onVehicleSelect]);
 
     const handleRetry = useCallback(() => {
+        // Bypass the cached Device list so the refresh really hits the server
+        if (sessionInfo) {
+            getGeotabClient(sessionInfo).invalidate('Device');
+        }
         fetchVehicles();
-    }, [fetchVehicles]);
+    }, [sessionInfo, fetchVehicles]);
 
     // Render loading state
     if (isLoadingVehicles) {
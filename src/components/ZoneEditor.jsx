@@ -0,0 +1,336 @@
+// ZoneEditor.jsx
+import React, { useState, useRef } from 'react';
+import { Marker, Polygon, Polyline, Circle, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { formatErrorMessage } from './apiErrorUtils';
+import { isPermissionError } from './permissions';
+import { calculateDistance } from './vehicleUtils';
+import { ZONE_TYPES, createZoneDraft, isDraftComplete, saveZone, removeZone } from './zoneUtils';
+
+const handleIcon = (size, color, shape = '50%') => L.divIcon({
+    className: '',
+    html: `<div style="width:${size}px;height:${size}px;border-radius:${shape};background:${color};border:2px solid #fff;box-sizing:border-box;box-shadow:0 1px 3px rgba(0,0,0,0.5);cursor:move"></div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+});
+
+const VERTEX_ICON = handleIcon(14, '#213547', '2px');
+const MIDPOINT_ICON = handleIcon(10, 'rgba(33,53,71,0.5)', '2px');
+const MOVE_ICON = handleIcon(20, '#dc3545');
+const RADIUS_ICON = handleIcon(14, '#213547');
+
+// Offsets a [latitude, longitude] pair by a number of metres east
+function eastOf([latitude, longitude], metres) {
+    return [latitude, longitude + metres / (111320 * Math.cos(latitude * Math.PI / 180))];
+}
+
+/**
+ * Map layer that draws the zone being edited with handles to change it; must be rendered inside
+ * a MapContainer. onChange is called with an updater function, like a state setter, so fast
+ * drags never work from a stale draft.
+ */
+export function ZoneEditLayer({ draft, onChange }) {
+    // Where the move handle was at the last drag event
+    const moveFromRef = useRef(null);
+
+    useMapEvents({
+        click: (e) => {
+            if (!draft.isDrawing) return;
+            const point = [e.latlng.lat, e.latlng.lng];
+            onChange(current => current.geometryType === 'Circle'
+                ? { ...current, center: point, isDrawing: false }
+                : { ...current, points: [...current.points, point] });
+        },
+    });
+
+    const pathOptions = { color: draft.color, fillColor: draft.color, fillOpacity: 0.25, weight: 2, dashArray: '6 4' };
+
+    const handleMoveStart = (e) => {
+        moveFromRef.current = e.target.getLatLng();
+    };
+
+    // Shifts the whole shape by however far the move handle was dragged
+    const handleMove = (e) => {
+        const to = e.target.getLatLng();
+        const from = moveFromRef.current || to;
+        const dLat = to.lat - from.lat;
+        const dLng = to.lng - from.lng;
+        moveFromRef.current = to;
+
+        onChange(current => ({
+            ...current,
+            points: current.points.map(([latitude, longitude]) => [latitude + dLat, longitude + dLng]),
+            holes: (current.holes || []).map(hole => hole.map(([latitude, longitude]) => [latitude + dLat, longitude + dLng])),
+            center: current.center && [current.center[0] + dLat, current.center[1] + dLng],
+        }));
+    };
+
+    if (draft.geometryType === 'Circle') {
+        if (!draft.center) return null;
+        return (
+            <>
+                <Circle center={draft.center} radius={draft.radius} pathOptions={pathOptions} />
+                <Marker
+                    position={draft.center}
+                    icon={MOVE_ICON}
+                    draggable
+                    eventHandlers={{ dragstart: handleMoveStart, drag: handleMove }}
+                />
+                <Marker
+                    position={eastOf(draft.center, draft.radius)}
+                    icon={RADIUS_ICON}
+                    draggable
+                    eventHandlers={{
+                        drag: (e) => {
+                            const { lat, lng } = e.target.getLatLng();
+                            onChange(current => ({
+                                ...current,
+                                radius: Math.max(10, calculateDistance(
+                                    { latitude: current.center[0], longitude: current.center[1] },
+                                    { latitude: lat, longitude: lng }
+                                )),
+                            }));
+                        },
+                    }}
+                />
+            </>
+        );
+    }
+
+    const { points } = draft;
+    const centroid = points.length > 0 && [
+        points.reduce((sum, point) => sum + point[0], 0) / points.length,
+        points.reduce((sum, point) => sum + point[1], 0) / points.length,
+    ];
+
+    return (
+        <>
+            {points.length >= 3
+                ? <Polygon positions={[points, ...(draft.holes || [])]} pathOptions={pathOptions} />
+                : points.length === 2 && <Polyline positions={points} pathOptions={pathOptions} />}
+
+            {points.map((point, index) => (
+                <Marker
+                    key={`vertex-${index}`}
+                    position={point}
+                    icon={VERTEX_ICON}
+                    draggable
+                    title="Drag to move this corner; right-click to remove it"
+                    eventHandlers={{
+                        drag: (e) => {
+                            const { lat, lng } = e.target.getLatLng();
+                            onChange(current => ({
+                                ...current,
+                                points: current.points.map((existing, i) => (i === index ? [lat, lng] : existing)),
+                            }));
+                        },
+                        contextmenu: () => onChange(current => (current.points.length > 3 || current.isDrawing
+                            ? { ...current, points: current.points.filter((_, i) => i !== index) }
+                            : current)),
+                    }}
+                />
+            ))}
+
+            {/* Clicking halfway along an edge adds a corner there */}
+            {!draft.isDrawing && points.length >= 3 && points.map((point, index) => {
+                const next = points[(index + 1) % points.length];
+                return (
+                    <Marker
+                        key={`midpoint-${index}`}
+                        position={[(point[0] + next[0]) / 2, (point[1] + next[1]) / 2]}
+                        icon={MIDPOINT_ICON}
+                        title="Click to add a corner here"
+                        eventHandlers={{
+                            click: () => onChange(current => ({
+                                ...current,
+                                points: [
+                                    ...current.points.slice(0, index + 1),
+                                    [(point[0] + next[0]) / 2, (point[1] + next[1]) / 2],
+                                    ...current.points.slice(index + 1),
+                                ],
+                            })),
+                        }}
+                    />
+                );
+            })}
+
+            {!draft.isDrawing && centroid && (
+                <Marker
+                    position={centroid}
+                    icon={MOVE_ICON}
+                    draggable
+                    title="Drag to move the whole geofence"
+                    eventHandlers={{ dragstart: handleMoveStart, drag: handleMove }}
+                />
+            )}
+        </>
+    );
+}
+
+// Form and toolbar of the geofence editor, shown beside the map
+function ZoneEditor({ sessionInfo, zones, draft, onDraftChange, onSaved, onClose, onPermissionDenied, commonStyles }) {
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+
+    const original = draft?.id ? zones.find(zone => zone.id === draft.id) || null : null;
+
+    const startDraft = (nextDraft) => {
+        setError(null);
+        setIsConfirmingDelete(false);
+        onDraftChange(nextDraft);
+    };
+
+    const runChange = async (change, failureMessage) => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            await change();
+            setIsConfirmingDelete(false);
+            onSaved();
+        } catch (err) {
+            if (isPermissionError(err)) {
+                onPermissionDenied?.('editZones');
+            }
+            console.error(failureMessage, err);
+            setError(formatErrorMessage(err, failureMessage));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSave = () => runChange(() => saveZone(sessionInfo, draft, original), 'Could not save the geofence. Please try again.');
+    const handleDelete = () => runChange(() => removeZone(sessionInfo, draft.id), 'Could not delete the geofence. Please try again.');
+
+    const buttonStyle = (backgroundColor) => ({
+        ...commonStyles.button,
+        width: 'auto',
+        marginTop: '0',
+        backgroundColor,
+        fontSize: '0.85em',
+        padding: '0.3em 0.8em',
+    });
+
+    if (!draft) {
+        return (
+            <div style={{ ...styles.panel, ...styles.fields }}>
+                <span>Click a geofence on the map to edit it, or draw a new one:</span>
+                <button onClick={() => startDraft(createZoneDraft('Polygon'))} style={buttonStyle('#007bff')}>New Polygon</button>
+                <button onClick={() => startDraft(createZoneDraft('Circle'))} style={buttonStyle('#007bff')}>New Circle</button>
+                <button onClick={onClose} style={buttonStyle('#6c757d')}>Done</button>
+            </div>
+        );
+    }
+
+    let hint;
+    if (draft.holes?.length > 0) {
+        hint = 'This geofence has holes, which Geotab zones cannot store, so it can only be changed in MyGeotab.';
+    } else if (draft.isDrawing) {
+        hint = draft.geometryType === 'Circle'
+            ? 'Click the map where the centre of the circle should be.'
+            : `Click the map to add corners (${draft.points.length} so far), then finish the shape.`;
+    } else {
+        hint = draft.geometryType === 'Circle'
+            ? 'Drag the red handle to move the circle and the dark one to resize it.'
+            : 'Drag corners to reshape, click a half-way handle to add a corner, right-click a corner to remove it, or drag the red handle to move the whole geofence.';
+    }
+
+    return (
+        <div style={styles.panel}>
+            <div style={styles.fields}>
+                <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(e) => onDraftChange(current => ({ ...current, name: e.target.value }))}
+                    placeholder="Geofence name"
+                    aria-label="Geofence name"
+                    style={{ ...commonStyles.input, width: 'auto', minWidth: '180px', margin: 0 }}
+                />
+                <input
+                    type="color"
+                    value={draft.color}
+                    onChange={(e) => onDraftChange(current => ({ ...current, color: e.target.value }))}
+                    aria-label="Geofence colour"
+                />
+                <select
+                    value={draft.zoneType}
+                    onChange={(e) => onDraftChange(current => ({ ...current, zoneType: e.target.value }))}
+                    aria-label="Geofence type"
+                >
+                    {ZONE_TYPES.map(type => (
+                        <option key={type.id} value={type.id}>{type.label}</option>
+                    ))}
+                </select>
+                {draft.geometryType === 'Circle' && draft.center && (
+                    <label>
+                        Radius{' '}
+                        <input
+                            type="number"
+                            min={10}
+                            value={Math.round(draft.radius)}
+                            onChange={(e) => onDraftChange(current => ({ ...current, radius: Math.max(10, Number(e.target.value) || 0) }))}
+                            style={{ width: '80px' }}
+                        />{' '}m
+                    </label>
+                )}
+            </div>
+
+            <p style={styles.hint}>{hint}</p>
+            {error && <p style={commonStyles.error}>Error: {error}</p>}
+
+            <div style={styles.fields}>
+                {draft.isDrawing && draft.geometryType === 'Polygon' && (
+                    <button
+                        onClick={() => onDraftChange(current => ({ ...current, isDrawing: false }))}
+                        disabled={draft.points.length < 3}
+                        style={buttonStyle('#17a2b8')}
+                    >
+                        Finish Shape
+                    </button>
+                )}
+                <button onClick={handleSave} disabled={isSaving || draft.isDrawing || !isDraftComplete(draft)} style={buttonStyle('#28a745')}>
+                    {isSaving ? 'Saving...' : 'Save'}
+                </button>
+                {draft.id && (isConfirmingDelete ? (
+                    <>
+                        <button onClick={handleDelete} disabled={isSaving} style={buttonStyle('#dc3545')}>Confirm Delete</button>
+                        <button onClick={() => setIsConfirmingDelete(false)} style={buttonStyle('#6c757d')}>Keep</button>
+                    </>
+                ) : (
+                    <button onClick={() => setIsConfirmingDelete(true)} disabled={isSaving} style={buttonStyle('#dc3545')}>Delete</button>
+                ))}
+                <button onClick={() => startDraft(null)} disabled={isSaving} style={buttonStyle('#6c757d')}>Cancel</button>
+            </div>
+        </div>
+    );
+}
+
+const styles = {
+    panel: {
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '8px',
+        padding: '10px',
+        marginBottom: '10px',
+        backgroundColor: '#f8f9fa',
+        border: '1px solid #e9ecef',
+        borderRadius: '6px',
+        fontSize: '0.9em',
+    },
+    fields: {
+        display: 'flex',
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '8px',
+    },
+    hint: {
+        margin: 0,
+        color: '#666',
+        fontSize: '0.9em',
+    },
+};
+
+export default ZoneEditor;
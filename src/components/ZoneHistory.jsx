@@ -0,0 +1,185 @@
+// ZoneHistory.jsx
+import React, { useState, useRef, useEffect } from 'react';
+import { formatErrorMessage, isCancellationError } from './apiErrorUtils';
+import { fetchLogRecords, formatDuration } from './vehicleUtils';
+import { detectZoneTransitions } from './zoneUtils';
+
+// Periods the history can cover, in hours back from now
+const PERIODS = [
+    { hours: 24, label: 'Last 24 hours' },
+    { hours: 72, label: 'Last 3 days' },
+    { hours: 168, label: 'Last 7 days' },
+];
+
+// When the selected vehicle entered and left each geofence over a chosen period
+function ZoneHistory({ sessionInfo, vehicleId, zones, onEventsChange, commonStyles }) {
+    const [hours, setHours] = useState(PERIODS[0].hours);
+    const [history, setHistory] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const controllerRef = useRef(null);
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    const loadHistory = async () => {
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+
+        setIsLoading(true);
+        setError(null);
+
+        try {
+            const toDate = new Date();
+            const fromDate = new Date(toDate.getTime() - hours * 60 * 60 * 1000);
+            const points = await fetchLogRecords(sessionInfo, vehicleId, fromDate.toISOString(), toDate.toISOString(), { signal: controller.signal });
+
+            const result = detectZoneTransitions(points, zones);
+            setHistory({ ...result, recordCount: points.length });
+            onEventsChange(result.events);
+        } catch (err) {
+            if (isCancellationError(err)) return;
+            console.error('Error fetching geofence history:', err);
+            setError(formatErrorMessage(err, 'Could not fetch the geofence history. Please try again.'));
+        } finally {
+            if (!controller.signal.aborted) {
+                setIsLoading(false);
+            }
+        }
+    };
+
+    const handleClear = () => {
+        setHistory(null);
+        onEventsChange([]);
+    };
+
+    return (
+        <div style={styles.container}>
+            <p style={styles.title}>Geofence History</p>
+            <div style={styles.controls}>
+                <select value={hours} onChange={(e) => setHours(Number(e.target.value))} aria-label="History period">
+                    {PERIODS.map(period => (
+                        <option key={period.hours} value={period.hours}>{period.label}</option>
+                    ))}
+                </select>
+                <button
+                    onClick={loadHistory}
+                    disabled={isLoading}
+                    style={{ ...commonStyles.button, width: 'auto', marginTop: '0', fontSize: '0.85em', padding: '0.3em 0.8em' }}
+                >
+                    {isLoading ? 'Loading...' : 'Show Entries & Exits'}
+                </button>
+                {history && (
+                    <button
+                        onClick={handleClear}
+                        style={{ ...commonStyles.button, width: 'auto', marginTop: '0', fontSize: '0.85em', padding: '0.3em 0.8em', backgroundColor: '#6c757d' }}
+                    >
+                        Clear
+                    </button>
+                )}
+            </div>
+
+            {error && <p style={commonStyles.error}>Error: {error}</p>}
+
+            {history && history.events.length === 0 && (
+                <p>No geofence entries or exits in {history.recordCount} log records.</p>
+            )}
+
+            {history && history.summary.length > 0 && (
+                <table style={styles.table}>
+                    <thead>
+                        <tr>
+                            <th style={styles.cell}>Geofence</th>
+                            <th style={styles.cell}>Visits</th>
+                            <th style={styles.cell}>Time inside</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {history.summary.map(({ zone, visits, duration }) => (
+                            <tr key={zone.id}>
+                                <td style={styles.cell}>{zone.name}</td>
+                                <td style={styles.cell}>{visits}</td>
+                                <td style={styles.cell}>{formatDuration(duration)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {history && history.events.length > 0 && (
+                <div style={styles.eventList}>
+                    <table style={styles.table}>
+                        <thead>
+                            <tr>
+                                <th style={styles.cell}>Time</th>
+                                <th style={styles.cell}>Event</th>
+                                <th style={styles.cell}>Geofence</th>
+                                <th style={styles.cell}>Dwell</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {history.events.map((event, index) => (
+                                <tr key={index}>
+                                    <td style={styles.cell}>
+                                        {event.isBeforePeriod ? 'Before period' : new Date(event.dateTime).toLocaleString()}
+                                    </td>
+                                    <td style={{ ...styles.cell, color: event.type === 'enter' ? '#28a745' : '#dc3545' }}>
+                                        {event.type === 'enter' ? 'Entered' : 'Exited'}
+                                    </td>
+                                    <td style={styles.cell}>{event.zone.name}</td>
+                                    <td style={styles.cell}>
+                                        {event.type === 'exit' ? formatDuration(event.duration) : event.isStillInside ? 'Still inside' : ''}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+const styles = {
+    container: {
+        backgroundColor: '#f8f9fa',
+        border: '1px solid #e9ecef',
+        borderRadius: '5px',
+        padding: '10px',
+        marginTop: '10px',
+        fontSize: '0.9em',
+        width: '100%',
+        boxSizing: 'border-box',
+    },
+    title: {
+        fontWeight: 'bold',
+        marginBottom: '10px',
+        borderBottom: '1px solid #ddd',
+        paddingBottom: '5px',
+    },
+    controls: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '8px',
+        marginBottom: '10px',
+    },
+    eventList: {
+        maxHeight: '250px',
+        overflowY: 'auto',
+        marginTop: '10px',
+    },
+    table: {
+        width: '100%',
+        borderCollapse: 'collapse',
+        fontSize: '0.9em',
+    },
+    cell: {
+        borderBottom: '1px solid #e9ecef',
+        padding: '4px 6px',
+        textAlign: 'left',
+    },
+};
+
+export default ZoneHistory;
@@ -2,16 +2,188 @@
 /**
  * Utility functions for handling API errors consistently across the application
  */
+import { getCircuitBreaker, CircuitOpenError } from './circuitBreaker';
+import { getRateLimiter } from './rateLimiter';
+
+/**
+ * Determines if an error comes from a request that was deliberately cancelled
+ * (e.g. because the selected vehicle or trip changed)
+ * @param {Error|Object} error - The error object
+ * @returns {boolean} True if the request was cancelled
+ */
+export function isCancellationError(error) {
+    if (!error) return false;
+    return axios.isCancel(error) ||
+        error.name === 'AbortError' ||
+        error.name === 'CanceledError' ||
+        error.code === 'ERR_CANCELED';
+}
+
+/**
+ * Creates the error used to reject a request that was cancelled through an AbortSignal
+ * @returns {Error} Cancellation error recognised by isCancellationError
+ */
+export function createCancellationError() {
+    const error = new Error('Request cancelled');
+    error.name = 'CanceledError';
+    error.code = 'ERR_CANCELED';
+    return error;
+}
+
+/**
+ * Tracks the callers sharing one request and aborts it once every one of them has aborted.
+ * A caller without a signal can't abort, so the request then always runs to the end.
+ * @returns {Object} { signal, join } where signal goes to the shared request and join(callerSignal)
+ *   adds a caller
+ */
+export function createSharedAbort() {
+    const controller = new AbortController();
+    let waiting = 0;
+    let hasSteadyCaller = false;
+
+    const join = (callerSignal) => {
+        if (!callerSignal) {
+            hasSteadyCaller = true;
+            return;
+        }
+        waiting++;
+        callerSignal.addEventListener('abort', () => {
+            waiting--;
+            if (waiting === 0 && !hasSteadyCaller) {
+                controller.abort();
+            }
+        }, { once: true });
+    };
+
+    return { signal: controller.signal, join };
+}
+
+/**
+ * Known Geotab exception types, reported as JSON-RPC errors inside HTTP 200 responses.
+ * recoverable: whether retrying the same call can succeed
+ * retryDelay: minimum wait in ms before retrying, when the server needs time to recover
+ */
+export const GEOTAB_ERROR_TYPES = {
+    InvalidUserException: {
+        category: 'authentication',
+        recoverable: false,
+        message: 'Your user name, password or database was not accepted, or your session has expired. Please log in again.',
+    },
+    DbUnavailableException: {
+        category: 'unavailable',
+        recoverable: true,
+        retryDelay: 5000,
+        message: 'The Geotab database is temporarily unavailable (it may be under maintenance). Please try again in a few minutes.',
+    },
+    OverLimitException: {
+        category: 'rateLimit',
+        recoverable: true,
+        retryDelay: 10000,
+        message: 'Geotab API rate limit reached. Please wait a minute before refreshing.',
+    },
+    DuplicateException: {
+        category: 'conflict',
+        recoverable: false,
+        message: 'An item with the same name already exists. Please choose a different name.',
+    },
+    InvalidPermissionsException: {
+        category: 'permission',
+        recoverable: false,
+        message: 'Your Geotab user does not have permission to view this data. Ask your administrator to update your security clearance.',
+    },
+    GroupRelationViolatedException: {
+        category: 'permission',
+        recoverable: false,
+        message: 'This item belongs to groups you do not have access to.',
+    },
+    MissingMethodException: {
+        category: 'request',
+        recoverable: false,
+        message: 'This Geotab server does not support the requested operation.',
+    },
+    ArgumentException: {
+        category: 'request',
+        recoverable: false,
+        message: 'Geotab rejected the request parameters. Please check your input and try again.',
+    },
+    ArgumentNullException: {
+        category: 'request',
+        recoverable: false,
+        message: 'Geotab rejected the request because a required value was missing.',
+    },
+    ArgumentOutOfRangeException: {
+        category: 'request',
+        recoverable: false,
+        message: 'Geotab rejected the request because a value was out of range (for example, a date range that is too long).',
+    },
+    JsonSerializerException: {
+        category: 'request',
+        recoverable: false,
+        message: 'Geotab could not read the request. Please try again or report this issue.',
+    },
+};
+
+/**
+ * Extracts the Geotab exception name (e.g. 'OverLimitException') from an API error
+ * @param {Error|Object} error - The error object
+ * @returns {string|null} The exception name, or null if the error is not a Geotab API error
+ */
+export function getGeotabErrorName(error) {
+    const apiError = error?.apiError || error?.error;
+    if (!apiError || typeof apiError !== 'object') return null;
+
+    if (Array.isArray(apiError.errors) && apiError.errors.length > 0 && apiError.errors[0].name) {
+        return apiError.errors[0].name;
+    }
+    if (apiError.data?.type) {
+        return apiError.data.type;
+    }
+    // The top-level name is usually just 'JSONRPCError'
+    if (apiError.name && apiError.name !== 'JSONRPCError') {
+        return apiError.name;
+    }
+    return null;
+}
+
+/**
+ * Classifies a Geotab API error using GEOTAB_ERROR_TYPES
+ * @param {Error|Object} error - The error object
+ * @returns {Object|null} { name, category, recoverable, retryDelay, message }, or null if unknown
+ */
+export function classifyGeotabError(error) {
+    const name = getGeotabErrorName(error);
+    if (!name) return null;
+
+    // Names may be fully qualified (Geotab.Checkmate.ObjectModel.Exceptions.OverLimitException)
+    const shortName = name.split('.').pop();
+    const type = GEOTAB_ERROR_TYPES[shortName];
+    return type ? { name: shortName, ...type } : null;
+}
 
 /**
  * Formats error messages from various sources into user-friendly messages
  * @param {Error|Object} error - The error object
  * @param {string} defaultMessage - Default message if no specific error found
- * @returns {string} User-friendly error message
+ * @returns {string|null} User-friendly error message, or null for cancelled requests
  */
 export function formatErrorMessage(error, defaultMessage = 'An unexpected error occurred') {
     if (!error) return defaultMessage;
 
+    // Cancelled requests are not failures and should not be shown to the user
+    if (isCancellationError(error)) return null;
+
+    // Geotab JSON-RPC errors carry a specific exception type
+    const geotabError = classifyGeotabError(error);
+    if (geotabError) {
+        return geotabError.message;
+    }
+
+    // Wrapped errors (e.g. from a fallback path) keep the original as their cause
+    if (error.cause && error.cause !== error) {
+        const causeMessage = formatErrorMessage(error.cause, null);
+        if (causeMessage) return causeMessage;
+    }
+
     // Handle Axios errors
     if (error.response) {
         const status = error.response.status;
@@ -49,7 +221,7 @@ export function formatErrorMessage(error, defaultMessage = 'An unexpected error
     }
 
     // Handle timeout errors
-    if (error.name === 'AbortError' || error.code === 'ECONNABORTED') {
+    if (error.code === 'ECONNABORTED') {
         return 'Request timed out. Please check your connection and try again.';
     }
 
@@ -79,11 +251,21 @@ export function formatErrorMessage(error, defaultMessage = 'An unexpected error
 export function isRecoverableError(error) {
     if (!error) return false;
 
+    // Cancelled requests were abandoned on purpose and must not be retried
+    if (isCancellationError(error)) return false;
+
+    // The circuit breaker will let requests through again after its cooldown
+    if (error instanceof CircuitOpenError) return true;
+
+    // Geotab errors say for themselves whether a retry can help
+    const geotabError = classifyGeotabError(error);
+    if (geotabError) return geotabError.recoverable;
+
     // Network errors are generally recoverable
     if (error.request && !error.response) return true;
 
     // Timeout errors are recoverable
-    if (error.name === 'AbortError' || error.code === 'ECONNABORTED') return true;
+    if (error.code === 'ECONNABORTED') return true;
 
     // Specific HTTP status codes that are recoverable
     if (error.response) {
@@ -94,6 +276,62 @@ export function isRecoverableError(error) {
     return false;
 }
 
+/**
+ * Determines if an error means the Geotab session has expired or is no longer valid
+ * @param {Error|Object} error - The error object
+ * @returns {boolean} True if the user has to re-authenticate
+ */
+export function isSessionExpiredError(error) {
+    return classifyGeotabError(error)?.name === 'InvalidUserException';
+}
+
+// Called when a session expires; resolves to fresh credentials ({ sessionId, ... })
+let sessionExpiredHandler = null;
+
+// Renewals in progress, keyed by session object, so concurrent calls share one prompt
+const pendingRenewals = new WeakMap();
+
+// Completed renewals per session object. Calls compare this rather than the sessionId, which
+// behind the credential proxy is always the same placeholder
+const renewalCounts = new WeakMap();
+
+/**
+ * Registers the function used to renew an expired session.
+ * The handler receives the expired session information and must resolve to new
+ * credentials, or reject if the user declines to re-authenticate.
+ * @param {Function|null} handler - Async handler, or null to disable renewal
+ */
+export function setSessionExpiredHandler(handler) {
+    sessionExpiredHandler = handler;
+}
+
+/**
+ * Renews an expired session, sharing a single renewal between all callers.
+ * The session object is updated in place so queued calls replay with the new sessionId.
+ * @param {Object} sessionInfo - The expired session information
+ * @returns {Promise} Promise that resolves once the session has been renewed
+ */
+function renewSession(sessionInfo) {
+    let renewal = pendingRenewals.get(sessionInfo);
+
+    if (!renewal) {
+        renewal = Promise.resolve(sessionExpiredHandler(sessionInfo))
+            .then(credentials => {
+                if (!credentials?.sessionId) {
+                    throw new Error('Re-authentication did not return a session');
+                }
+                sessionInfo.sessionId = credentials.sessionId;
+                renewalCounts.set(sessionInfo, (renewalCounts.get(sessionInfo) || 0) + 1);
+            })
+            .finally(() => {
+                pendingRenewals.delete(sessionInfo);
+            });
+        pendingRenewals.set(sessionInfo, renewal);
+    }
+
+    return renewal;
+}
+
 /**
  * Logs errors with context information
  * @param {Error|Object} error - The error object
@@ -124,14 +362,91 @@ export function logError(error, context = 'Unknown', additionalInfo = {}) {
     // Example: sendToErrorTrackingService(errorInfo);
 }
 
+/**
+ * Retry policies per API method. Writes and Authenticate are not retried, since
+ * repeating them can create duplicates or lock the user out.
+ */
+export const RETRY_POLICIES = {
+    default: { retries: 3, retryDelay: 1000, maxRetryDelay: 30000 },
+    Authenticate: { retries: 1 },
+    Add: { retries: 1 },
+    Set: { retries: 1 },
+    Remove: { retries: 1 },
+    GetFeed: { retries: 4, retryDelay: 1000, maxRetryDelay: 15000 },
+};
+
+/**
+ * Returns the retry policy for an API method
+ * @param {string} method - API method name
+ * @returns {Object} { retries, retryDelay, maxRetryDelay }
+ */
+export function getRetryPolicy(method) {
+    return { ...RETRY_POLICIES.default, ...RETRY_POLICIES[method] };
+}
+
+// Longest wait we will honour from a server hint, so a bad header can't stall the app
+const MAX_RETRY_HINT = 5 * 60 * 1000;
+
+/**
+ * Reads how long the server asked us to wait before retrying, if it said so
+ * @param {Error|Object} error - The error object
+ * @returns {number|null} Wait in milliseconds, or null if there is no hint
+ */
+export function getRetryAfterHint(error) {
+    if (!error) return null;
+
+    if (error instanceof CircuitOpenError) {
+        return error.retryAfter;
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const wait = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (!Number.isNaN(wait)) {
+            return Math.min(Math.max(wait, 0), MAX_RETRY_HINT);
+        }
+    }
+
+    const geotabError = classifyGeotabError(error);
+    if (geotabError?.name === 'OverLimitException') {
+        // e.g. "API calls quota exceeded. Maximum admitted 10 per 1m."
+        const match = /per\s+(\d+)\s*([smh])\b/i.exec(error.apiError?.message || error.message || '');
+        if (match) {
+            const unit = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 }[match[2].toLowerCase()];
+            return Math.min(Number(match[1]) * unit, MAX_RETRY_HINT);
+        }
+    }
+
+    return geotabError?.retryDelay ?? null;
+}
+
+/**
+ * Works out how long to wait before the next retry: exponential backoff with jitter,
+ * but never less than what the server asked for
+ * @param {Error|Object} error - The error that caused the retry
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {number} delay - Base delay in milliseconds
+ * @param {number} maxDelay - Upper bound for the backoff (server hints may exceed it)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(error, attempt, delay = 1000, maxDelay = 30000) {
+    const backoff = Math.min(delay * 2 ** (attempt - 1), maxDelay);
+    // Equal jitter: half fixed, half random, so clients that failed together don't retry together
+    const jittered = backoff / 2 + Math.random() * (backoff / 2);
+    return Math.max(jittered, getRetryAfterHint(error) ?? 0);
+}
+
 /**
  * Creates a retry mechanism for API calls
  * @param {Function} apiCall - The API call function to retry
  * @param {number} maxRetries - Maximum number of retry attempts
- * @param {number} delay - Delay between retries in milliseconds
+ * @param {number} delay - Base delay between retries in milliseconds, doubled on each attempt
+ * @param {number} maxDelay - Maximum backoff delay in milliseconds
  * @returns {Promise} Promise that resolves when the API call succeeds or all retries are exhausted
  */
-export async function retryApiCall(apiCall, maxRetries = 3, delay = 1000) {
+export async function retryApiCall(apiCall, maxRetries = 3, delay = 1000, maxDelay = 30000) {
     let lastError;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -139,6 +454,10 @@ export async function retryApiCall(apiCall, maxRetries = 3, delay = 1000) {
             const result = await apiCall();
             return result;
         } catch (error) {
+            if (isCancellationError(error)) {
+                throw error;
+            }
+
             lastError = error;
             
             logError(error, `API Retry Attempt ${attempt}/${maxRetries}`);
@@ -150,7 +469,7 @@ export async function retryApiCall(apiCall, maxRetries = 3, delay = 1000) {
 
             // Don't wait after the last attempt
             if (attempt < maxRetries) {
-                await new Promise(resolve => setTimeout(resolve, delay * attempt));
+                await new Promise(resolve => setTimeout(resolve, getRetryDelay(error, attempt, delay, maxDelay)));
             }
         }
     }
@@ -186,6 +505,28 @@ export function validateSessionInfo(sessionInfo) {
     }
 }
 
+// Servers answered in-process instead of over HTTP, e.g. the demo fleet
+const localServers = new Map();
+
+/**
+ * Routes every call for a server to a local handler instead of the network.
+ * @param {string} server - Server name the handler answers for
+ * @param {Function} handler - (requestBody, { signal }) => Promise resolving to the JSON-RPC response body
+ */
+export function registerLocalServer(server, handler) {
+    localServers.set(server, handler);
+}
+
+// Base URL of the credential proxy (proxy-server/); calls go straight to Geotab when empty
+const proxyUrl = (import.meta.env?.VITE_GEOTAB_PROXY_URL || '').replace(/\/$/, '');
+
+/**
+ * @returns {string} Base URL of the credential proxy, or '' when calling Geotab directly
+ */
+export function getProxyUrl() {
+    return proxyUrl;
+}
+
 /**
  * Creates a standardized API request configuration
  * @param {Object} sessionInfo - Session information
@@ -195,9 +536,47 @@ export function validateSessionInfo(sessionInfo) {
  * @returns {Object} Axios request configuration
  */
 export function createApiConfig(sessionInfo, method, params = {}, timeout = 30000) {
-    validateSessionInfo(sessionInfo);
+    // Authenticate is the only call made before a session exists
+    const isAuthenticate = method === 'Authenticate';
+
+    if (isAuthenticate) {
+        if (!sessionInfo?.server) {
+            throw new Error('Server information is missing');
+        }
+    } else {
+        validateSessionInfo(sessionInfo);
+    }
+
+    // The proxy holds the real session id and only needs to know which account is meant;
+    // local servers such as the demo fleet never go through it
+    if (proxyUrl && !localServers.has(sessionInfo.server)) {
+        return {
+            url: `${proxyUrl}/apiv1/`,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            withCredentials: true,
+            data: {
+                jsonrpc: '2.0',
+                method: method,
+                params: isAuthenticate ? { ...params, server: sessionInfo.server } : {
+                    ...params,
+                    credentials: {
+                        server: sessionInfo.server,
+                        database: sessionInfo.database,
+                        userName: sessionInfo.userName,
+                    },
+                },
+                id: Math.floor(Math.random() * 10000),
+            },
+            timeout: timeout,
+        };
+    }
 
-    const apiUrl = `https://${sessionInfo.server}/apiv1/`;
+    // The local mock server (mock-server/) has no certificate
+    const protocol = /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(sessionInfo.server) ? 'http' : 'https';
+    const apiUrl = `${protocol}://${sessionInfo.server}/apiv1/`;
 
     return {
         url: apiUrl,
@@ -208,7 +587,7 @@ export function createApiConfig(sessionInfo, method, params = {}, timeout = 3000
         data: {
             jsonrpc: '2.0',
             method: method,
-            params: {
+            params: isAuthenticate ? params : {
                 ...params,
                 credentials: {
                     database: sessionInfo.database,
@@ -222,26 +601,73 @@ export function createApiConfig(sessionInfo, method, params = {}, timeout = 3000
     };
 }
 
+/**
+ * Tells the circuit breaker whether a failed call means the server is in trouble
+ * @param {CircuitBreaker} breaker - Breaker for the server that was called
+ * @param {Error|Object} error - The error the call failed with
+ */
+function recordOutcome(breaker, error) {
+    if (isCancellationError(error)) {
+        breaker.recordAbandoned();
+    } else if (isRecoverableError(error)) {
+        // Network failures, 5xx, rate limits and unavailable databases
+        breaker.recordFailure();
+    } else {
+        // The server answered; the request itself was the problem
+        breaker.recordSuccess();
+    }
+}
+
 /**
  * Makes a standardized API call with error handling
  * @param {Object} sessionInfo - Session information
  * @param {string} method - API method name
  * @param {Object} params - API parameters
- * @param {Object} options - Additional options
+ * @param {Object} options - Additional options; retries, retryDelay and maxRetryDelay default to the method's RETRY_POLICIES entry,
+ *   and priority 'low' defers the call while the user's rate-limit budget is nearly used up
  * @returns {Promise} Promise that resolves to the API result
  */
 export async function makeApiCall(sessionInfo, method, params = {}, options = {}) {
+    const policy = getRetryPolicy(method);
     const {
         timeout = 30000,
-        retries = 1,
-        retryDelay = 1000,
-        context = method
+        retries = policy.retries,
+        retryDelay = policy.retryDelay,
+        maxRetryDelay = policy.maxRetryDelay,
+        context = method,
+        priority = 'normal',
+        signal
     } = options;
 
     const apiCall = async () => {
+        let breaker = null;
+
         try {
+            // Hold new calls while the session is being renewed
+            const pendingRenewal = pendingRenewals.get(sessionInfo);
+            if (pendingRenewal) {
+                await pendingRenewal;
+            }
+
             const config = createApiConfig(sessionInfo, method, params, timeout);
-            const response = await axios(config);
+            if (signal) {
+                config.signal = signal;
+            }
+
+            // Authenticate has no session yet, so the user comes from its params
+            await getRateLimiter(
+                sessionInfo.server,
+                sessionInfo.database ?? params.database,
+                sessionInfo.userName ?? params.userName
+            ).acquire(method, params, { priority, signal });
+
+            breaker = getCircuitBreaker(sessionInfo.server);
+            breaker.beforeRequest();
+
+            const localServer = localServers.get(sessionInfo.server);
+            const response = localServer
+                ? { data: await localServer(config.data, { signal }) }
+                : await axios(config);
 
             if (!response || !response.data) {
                 throw new Error('Invalid response structure from server');
@@ -253,17 +679,50 @@ export async function makeApiCall(sessionInfo, method, params = {}, options = {}
                 throw error;
             }
 
+            breaker.recordSuccess();
             return response.data.result;
         } catch (error) {
-            logError(error, context, { method, params });
+            if (breaker && !(error instanceof CircuitOpenError)) {
+                recordOutcome(breaker, error);
+            }
+
+            if (isCancellationError(error)) {
+                throw error;
+            }
+            if (error instanceof CircuitOpenError) {
+                // Already reported once by the status banner; no need to log every blocked call
+                throw error;
+            }
+            // Never log the password sent with Authenticate
+            logError(error, context, { method, params: method === 'Authenticate' ? undefined : params });
             throw error;
         }
     };
 
+    const apiCallWithSession = async () => {
+        const usedRenewal = renewalCounts.get(sessionInfo) || 0;
+
+        try {
+            return await apiCall();
+        } catch (error) {
+            if (method === 'Authenticate' || !sessionExpiredHandler || !isSessionExpiredError(error)) {
+                throw error;
+            }
+
+            // Another call may already have renewed the session while this one was in flight
+            if ((renewalCounts.get(sessionInfo) || 0) === usedRenewal) {
+                await renewSession(sessionInfo);
+            }
+
+            // Replay once with the renewed session
+            return apiCall();
+        }
+    };
+
     if (retries > 1) {
-        return retryApiCall(apiCall, retries, retryDelay);
+        return retryApiCall(apiCallWithSession, retries, retryDelay, maxRetryDelay);
     } else {
-        return apiCall();
+        return apiCallWithSession();
     }
 }
 
@@ -283,6 +742,10 @@ export class ApiErrorHandler {
             this.retryCount = 0; // Reset on success
             return result;
         } catch (error) {
+            if (isCancellationError(error)) {
+                throw error;
+            }
+
             this.retryCount++;
             
             const errorMessage = formatErrorMessage(error);
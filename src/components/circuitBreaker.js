@@ -0,0 +1,158 @@
+// circuitBreaker.js
+/**
+ * Circuit breaker that stops sending requests to a Geotab server after repeated failures,
+ * then lets a single probe request through once a cooldown has passed
+ */
+
+/**
+ * Thrown instead of making a request while the circuit is open
+ */
+export class CircuitOpenError extends Error {
+    constructor(server, retryAfter) {
+        super(`Geotab unavailable, retrying in ${Math.ceil(retryAfter / 1000)}s`);
+        this.name = 'CircuitOpenError';
+        this.server = server;
+        this.retryAfter = retryAfter;
+    }
+}
+
+export class CircuitBreaker {
+    /**
+     * @param {string} server - Server this breaker protects.
+     * @param {Object} options - { failureThreshold, cooldown, maxCooldown } (cooldowns in ms).
+     */
+    constructor(server, options = {}) {
+        this.server = server;
+        this.failureThreshold = options.failureThreshold ?? 5;
+        this.baseCooldown = options.cooldown ?? 15000;
+        this.maxCooldown = options.maxCooldown ?? 120000;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.cooldown = this.baseCooldown;
+        this.retryAt = 0;
+        this.probeInFlight = false;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Milliseconds until the next request will be allowed through.
+     * @returns {number} 0 when requests are allowed now
+     */
+    getRetryDelay() {
+        if (this.state === 'closed') return 0;
+        if (this.state === 'half-open') return this.probeInFlight ? 1000 : 0;
+        return Math.max(0, this.retryAt - Date.now());
+    }
+
+    /**
+     * Checks whether a request may be sent, and claims the probe slot when half-open.
+     * @throws {CircuitOpenError} If the circuit is open
+     */
+    beforeRequest() {
+        if (this.state === 'open' && Date.now() >= this.retryAt) {
+            this.setState('half-open');
+        }
+
+        if (this.state === 'open' || (this.state === 'half-open' && this.probeInFlight)) {
+            throw new CircuitOpenError(this.server, this.getRetryDelay());
+        }
+
+        if (this.state === 'half-open') {
+            this.probeInFlight = true;
+        }
+    }
+
+    /**
+     * Records that the server answered, closing the circuit.
+     */
+    recordSuccess() {
+        this.failures = 0;
+        this.probeInFlight = false;
+        this.cooldown = this.baseCooldown;
+        this.setState('closed');
+    }
+
+    /**
+     * Records a failure that suggests the server is unavailable or overloaded.
+     */
+    recordFailure() {
+        this.failures++;
+
+        if (this.state === 'half-open') {
+            // The probe failed, so wait longer before trying again
+            this.probeInFlight = false;
+            this.cooldown = Math.min(this.cooldown * 2, this.maxCooldown);
+            this.open();
+        } else if (this.state === 'closed' && this.failures >= this.failureThreshold) {
+            this.open();
+        }
+    }
+
+    /**
+     * Records a request that ended without telling us anything (e.g. cancelled).
+     */
+    recordAbandoned() {
+        this.probeInFlight = false;
+    }
+
+    open() {
+        this.retryAt = Date.now() + this.cooldown;
+        this.setState('open');
+    }
+
+    setState(state) {
+        const changed = this.state !== state;
+        this.state = state;
+        if (changed || state === 'open') {
+            this.listeners.forEach(listener => listener(this));
+        }
+    }
+
+    /**
+     * Subscribes to state changes.
+     * @param {Function} listener - Called with the breaker whenever its state changes
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+// One breaker per server, shared by every session on that server
+const breakers = new Map();
+const globalListeners = new Set();
+
+/**
+ * Returns the circuit breaker for a server, creating it on first use.
+ * @param {string} server - Server host name.
+ * @returns {CircuitBreaker} The breaker for this server
+ */
+export function getCircuitBreaker(server) {
+    let breaker = breakers.get(server);
+    if (!breaker) {
+        breaker = new CircuitBreaker(server);
+        breaker.subscribe(changed => globalListeners.forEach(listener => listener(changed)));
+        breakers.set(server, breaker);
+    }
+    return breaker;
+}
+
+/**
+ * Returns every breaker that is currently blocking requests.
+ * @returns {Array<CircuitBreaker>} Open or half-open breakers
+ */
+export function getOpenCircuitBreakers() {
+    return Array.from(breakers.values()).filter(breaker => breaker.state !== 'closed');
+}
+
+/**
+ * Subscribes to state changes of all breakers.
+ * @param {Function} listener - Called with the breaker that changed
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToCircuitBreakers(listener) {
+    globalListeners.add(listener);
+    return () => globalListeners.delete(listener);
+}
@@ -0,0 +1,657 @@
+// demoFleet.js
+/**
+ * Synthetic fleet that answers Geotab JSON-RPC requests locally, so the app can be demoed
+ * or developed without credentials or a network. Data is generated deterministically from
+ * the date, so every reload shows the same fleet and history.
+ *
+ * Kept free of imports so it also runs under Node (see the mock server).
+ */
+
+export const DEMO_SERVER = 'demo';
+
+// Pre-filled on the login form's "Try Demo" button; any password is accepted
+export const DEMO_CREDENTIALS = {
+    server: DEMO_SERVER,
+    database: 'demo',
+    userName: 'demo@example.com',
+    password: 'demo',
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const HISTORY_DAYS = 7;
+// Seconds between GPS points while driving
+const LOG_INTERVAL = 30;
+// Fixed day from which odometers count, so readings only ever grow
+const EPOCH_DAY = Math.floor(Date.UTC(2024, 0, 1) / DAY);
+const NOMINAL_DAILY_KM = 150;
+const TANK_SIZE = 80;
+
+// Oakville, Ontario
+const DEPOT = { latitude: 43.4675, longitude: -79.6877 };
+
+const VEHICLES = [
+    { name: 'Van 101', licensePlate: 'DEMO-101', consumption: 0.11 },
+    { name: 'Van 102', licensePlate: 'DEMO-102', consumption: 0.12 },
+    { name: 'Van 103', licensePlate: 'DEMO-103', consumption: 0.11 },
+    { name: 'Truck 201', licensePlate: 'DEMO-201', consumption: 0.24 },
+    { name: 'Truck 202', licensePlate: 'DEMO-202', consumption: 0.26 },
+    { name: 'Pickup 301', licensePlate: 'DEMO-301', consumption: 0.15 },
+    { name: 'Pickup 302', licensePlate: 'DEMO-302', consumption: 0.16 },
+    { name: 'Service 401', licensePlate: 'DEMO-401', consumption: 0.13 },
+];
+
+const FAULTS = [
+    { diagnostic: { id: 'aDemoCoolantTemperature', name: 'Engine coolant temperature', code: 110 }, spn: 110, fmi: 0, failureMode: 'Data valid but above normal operating range' },
+    { diagnostic: { id: 'aDemoBatteryVoltage', name: 'Battery potential / power input', code: 168 }, spn: 168, fmi: 1, failureMode: 'Data valid but below normal operating range' },
+    { diagnostic: { id: 'aDemoDpfSoot', name: 'Diesel particulate filter soot load', code: 3719 }, spn: 3719, fmi: 16, failureMode: 'Data valid but above normal operating range - moderately severe' },
+    { diagnostic: { id: 'aDemoTirePressure', name: 'Tire pressure', code: 929 }, spn: 929, fmi: 18, failureMode: 'Data valid but below normal operating range - moderately severe' },
+    { diagnostic: { id: 'aDemoOilPressure', name: 'Engine oil pressure', code: 100 }, spn: 100, fmi: 1, failureMode: 'Data valid but below normal operating range' },
+];
+
+const DIAGNOSTICS = {
+    odometer: ['DiagnosticOdometerId', 'DiagnosticOdometerAdjustmentId'],
+    totalFuel: ['DiagnosticDeviceTotalFuelId'],
+    fuelLevel: ['DiagnosticFuelLevelId'],
+    accelerationForward: ['DiagnosticAccelerometerForwardGId'],
+    accelerationRight: ['DiagnosticAccelerometerRightGId'],
+    accelerationUp: ['DiagnosticAccelerometerUpGId'],
+};
+
+const INITIAL_ZONES = [
+    {
+        id: 'bDemoZoneDepot',
+        name: 'Depot',
+        geometryType: 'Polygon',
+        points: rectangle(DEPOT, 0.004, 0.006),
+        color: '#28a745',
+    },
+    {
+        id: 'bDemoZoneHarbour',
+        name: 'Customer: Harbour Logistics',
+        geometryType: 'Polygon',
+        points: rectangle({ latitude: 43.4420, longitude: -79.6650 }, 0.005, 0.008),
+        color: '#646cff',
+    },
+    {
+        id: 'bDemoZoneMall',
+        name: 'Customer: Uptown Mall',
+        geometryType: 'Polygon',
+        points: rectangle({ latitude: 43.4990, longitude: -79.7160 }, 0.004, 0.007),
+        color: '#646cff',
+    },
+    {
+        id: 'bDemoZoneYard',
+        name: 'Service Yard',
+        geometryType: 'Circle',
+        center: { latitude: 43.4810, longitude: -79.6420 },
+        radius: 400,
+        color: '#e0a800',
+    },
+].map(zone => ({
+    ...zone,
+    zoneTypes: [{ id: 'ZoneTypeCustomerId' }],
+    groups: [{ id: 'GroupCompanyId' }],
+    activeFrom: '1986-01-01T00:00:00.000Z',
+    activeTo: '2050-01-01T00:00:00.000Z',
+}));
+
+function rectangle(center, latSpan, lngSpan) {
+    const { latitude, longitude } = center;
+    return [
+        { x: longitude - lngSpan / 2, y: latitude - latSpan / 2 },
+        { x: longitude + lngSpan / 2, y: latitude - latSpan / 2 },
+        { x: longitude + lngSpan / 2, y: latitude + latSpan / 2 },
+        { x: longitude - lngSpan / 2, y: latitude + latSpan / 2 },
+        { x: longitude - lngSpan / 2, y: latitude - latSpan / 2 },
+    ];
+}
+
+/**
+ * Small seeded random number generator (mulberry32), so the same day always looks the same.
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function distanceKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+function bearing(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const y = Math.sin(toRadians(b.longitude - a.longitude)) * Math.cos(toRadians(b.latitude));
+    const x = Math.cos(toRadians(a.latitude)) * Math.sin(toRadians(b.latitude)) -
+        Math.sin(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.cos(toRadians(b.longitude - a.longitude));
+    return Math.round((Math.atan2(y, x) * 180 / Math.PI + 360) % 360);
+}
+
+function randomPlace(random, minKm, maxKm) {
+    const distance = minKm + random() * (maxKm - minKm);
+    const angle = random() * 2 * Math.PI;
+    return {
+        latitude: DEPOT.latitude + (distance / 111) * Math.cos(angle),
+        longitude: DEPOT.longitude + (distance / (111 * Math.cos(DEPOT.latitude * Math.PI / 180))) * Math.sin(angle),
+    };
+}
+
+/**
+ * Builds a route that follows a street grid: north-south and east-west legs through a few jittered waypoints.
+ */
+function buildRoute(random, from, to) {
+    const legs = 2 + Math.floor(random() * 3);
+    const corners = [from];
+    let current = from;
+
+    for (let leg = 1; leg <= legs; leg++) {
+        const waypoint = leg === legs ? to : {
+            latitude: from.latitude + (to.latitude - from.latitude) * (leg / legs) + (random() - 0.5) * 0.01,
+            longitude: from.longitude + (to.longitude - from.longitude) * (leg / legs) + (random() - 0.5) * 0.01,
+        };
+        corners.push({ latitude: current.latitude, longitude: waypoint.longitude });
+        corners.push(waypoint);
+        current = waypoint;
+    }
+
+    return corners;
+}
+
+/**
+ * Drives a route, recording a GPS point every LOG_INTERVAL seconds.
+ * @returns {Array<Object>} Points { time, latitude, longitude, speed, bearing }
+ */
+function driveRoute(random, route, startTime) {
+    const segments = [];
+    for (let i = 1; i < route.length; i++) {
+        const from = route[i - 1];
+        const to = route[i];
+        const km = distanceKm(from, to);
+        if (km < 0.01) continue;
+        const speed = 35 + random() * 45; // km/h
+        segments.push({ from, to, km, speed, duration: km / speed * 3600 });
+    }
+
+    const total = segments.reduce((sum, segment) => sum + segment.duration, 0);
+    const points = [];
+
+    for (let elapsed = 0; ; elapsed = Math.min(elapsed + LOG_INTERVAL, total)) {
+        // Find the segment being driven at this point in the trip
+        let offset = elapsed;
+        let index = 0;
+        while (index < segments.length - 1 && offset > segments[index].duration) {
+            offset -= segments[index].duration;
+            index++;
+        }
+        const segment = segments[index];
+
+        const fraction = segment ? Math.min(1, offset / segment.duration) : 1;
+        const from = segment ? segment.from : route[0];
+        const to = segment ? segment.to : route[route.length - 1];
+
+        points.push({
+            time: startTime + Math.round(elapsed * 1000),
+            latitude: from.latitude + (to.latitude - from.latitude) * fraction,
+            longitude: from.longitude + (to.longitude - from.longitude) * fraction,
+            // Stationary at both ends of the trip
+            speed: elapsed === 0 || elapsed === total ? 0 : Math.round(segment.speed + (random() - 0.5) * 8),
+            bearing: bearing(from, to),
+        });
+
+        if (elapsed >= total) break;
+    }
+
+    return points;
+}
+
+const dayCache = new Map();
+
+/**
+ * Generates (and caches) one vehicle's trips for one UTC day. Every day starts and ends at the depot.
+ * @returns {Object} { trips: [{ id, start, stop, points, distance }] }
+ */
+function getDay(vehicleIndex, dayNumber) {
+    const key = `${vehicleIndex}:${dayNumber}`;
+    if (dayCache.has(key)) return dayCache.get(key);
+
+    const random = seededRandom(dayNumber * 1000 + vehicleIndex * 7919);
+    const home = {
+        latitude: DEPOT.latitude + (vehicleIndex - VEHICLES.length / 2) * 0.0003,
+        longitude: DEPOT.longitude,
+    };
+
+    // First departure between 12:00 and 13:30 UTC, i.e. morning in Ontario
+    let time = dayNumber * DAY + 12 * 60 * MINUTE + Math.round(random() * 90) * MINUTE;
+    const tripCount = 3 + Math.floor(random() * 3);
+    const trips = [];
+    let location = home;
+
+    for (let n = 0; n < tripCount; n++) {
+        const destination = n === tripCount - 1 ? home : randomPlace(random, 2, 9);
+        const points = driveRoute(random, buildRoute(random, location, destination), time);
+        const distance = points.slice(1).reduce((sum, point, index) => sum + distanceKm(points[index], point), 0);
+
+        trips.push({
+            id: `bDemoTrip${vehicleIndex + 1}x${dayNumber}x${n}`,
+            start: points[0].time,
+            stop: points[points.length - 1].time,
+            points,
+            distance,
+        });
+
+        location = destination;
+        // Time on site before the next job
+        time = points[points.length - 1].time + (20 + Math.round(random() * 100)) * MINUTE;
+    }
+
+    const day = { trips };
+    dayCache.set(key, day);
+    // Only a week or so of history is ever asked for
+    if (dayCache.size > VEHICLES.length * (HISTORY_DAYS + 3)) {
+        dayCache.delete(dayCache.keys().next().value);
+    }
+    return day;
+}
+
+function deviceId(vehicleIndex) {
+    return `bDemo${vehicleIndex + 1}`;
+}
+
+function vehicleIndexOf(id) {
+    const index = VEHICLES.findIndex((_, candidate) => deviceId(candidate) === id);
+    return index === -1 ? null : index;
+}
+
+/**
+ * Vehicles matched by a search's deviceSearch (all of them when there is none).
+ */
+function searchVehicles(search) {
+    const id = search?.deviceSearch?.id;
+    if (!id) return VEHICLES.map((_, index) => index);
+    const index = vehicleIndexOf(id);
+    return index === null ? [] : [index];
+}
+
+/**
+ * Clamps a search's date range to the generated history and the current time.
+ */
+function searchRange(search, now, defaultSpan) {
+    const from = search?.fromDate ? new Date(search.fromDate).getTime() : now - defaultSpan;
+    const to = search?.toDate ? new Date(search.toDate).getTime() : now;
+    return {
+        from: Math.max(from, now - HISTORY_DAYS * DAY),
+        to: Math.min(to, now),
+    };
+}
+
+function completedTrips(vehicleIndex, from, to) {
+    const trips = [];
+    for (let dayNumber = Math.floor(from / DAY) - 1; dayNumber <= Math.floor(to / DAY); dayNumber++) {
+        getDay(vehicleIndex, dayNumber).trips.forEach(trip => {
+            if (trip.stop >= from && trip.start <= to) trips.push(trip);
+        });
+    }
+    return trips;
+}
+
+/**
+ * Distance driven on the trip's day up to a time, for odometer and fuel readings.
+ */
+function distanceSoFar(vehicleIndex, time) {
+    const { trips } = getDay(vehicleIndex, Math.floor(time / DAY));
+    return trips.reduce((sum, trip) => {
+        if (trip.stop <= time) return sum + trip.distance;
+        if (trip.start >= time) return sum;
+        const driven = trip.points.filter(point => point.time <= time);
+        return sum + driven.slice(1).reduce((partial, point, index) => partial + distanceKm(driven[index], point), 0);
+    }, 0);
+}
+
+function odometerKm(vehicleIndex, time) {
+    const dayNumber = Math.floor(time / DAY);
+    const base = 40000 + vehicleIndex * 9000 + (dayNumber - EPOCH_DAY) * NOMINAL_DAILY_KM;
+    return base + Math.min(NOMINAL_DAILY_KM, distanceSoFar(vehicleIndex, time));
+}
+
+/**
+ * Where a vehicle is at a time: on a trip in progress, or parked where its last trip ended.
+ */
+function positionAt(vehicleIndex, time) {
+    const today = Math.floor(time / DAY);
+    const trips = [...getDay(vehicleIndex, today - 1).trips, ...getDay(vehicleIndex, today).trips];
+    const points = trips.flatMap(trip => trip.points).filter(point => point.time <= time);
+    const last = points[points.length - 1];
+    const driving = trips.some(trip => trip.start <= time && trip.stop > time);
+    return { ...last, speed: driving ? last.speed : 0, isDriving: driving };
+}
+
+const entityTypes = {
+    Device: () => VEHICLES.map((vehicle, index) => ({
+        id: deviceId(index),
+        name: vehicle.name,
+        serialNumber: `G9DEMO${String(index + 1).padStart(6, '0')}`,
+        vehicleIdentificationNumber: `1DEMO${String(index + 1).padStart(12, '0')}`,
+        licensePlate: vehicle.licensePlate,
+        deviceType: 'GO9',
+        groups: [{ id: 'GroupCompanyId' }],
+        activeFrom: '2024-01-01T00:00:00.000Z',
+        activeTo: '2050-01-01T00:00:00.000Z',
+    })),
+
+    DeviceStatusInfo: (search, now) => searchVehicles(search).map(index => {
+        const position = positionAt(index, now);
+        return {
+            device: { id: deviceId(index) },
+            latitude: position.latitude,
+            longitude: position.longitude,
+            speed: position.speed,
+            bearing: position.bearing,
+            isDriving: position.isDriving,
+            isDeviceCommunicating: true,
+            dateTime: new Date(now).toISOString(),
+        };
+    }),
+
+    Trip: (search, now) => searchVehicles(search).flatMap(index => {
+        const { from, to } = searchRange(search, now, HISTORY_DAYS * DAY);
+        return completedTrips(index, from, to)
+            .filter(trip => trip.stop <= now)
+            .map(trip => {
+                const hours = (trip.stop - trip.start) / 3600000;
+                const last = trip.points[trip.points.length - 1];
+                return {
+                    id: trip.id,
+                    device: { id: deviceId(index) },
+                    start: new Date(trip.start).toISOString(),
+                    stop: new Date(trip.stop).toISOString(),
+                    distance: Number(trip.distance.toFixed(3)),
+                    averageSpeed: hours > 0 ? trip.distance / hours : 0,
+                    maximumSpeed: Math.max(...trip.points.map(point => point.speed)),
+                    drivingDuration: new Date(trip.stop - trip.start).toISOString().substring(11, 19),
+                    stopPoint: { x: last.longitude, y: last.latitude },
+                };
+            });
+    }),
+
+    LogRecord: (search, now) => searchVehicles(search).flatMap(index => {
+        const { from, to } = searchRange(search, now, DAY);
+        return completedTrips(index, from, to)
+            .flatMap(trip => trip.points)
+            .filter(point => point.time >= from && point.time <= to)
+            .map(point => ({
+                id: `bDemoLog${index + 1}x${point.time}`,
+                device: { id: deviceId(index) },
+                dateTime: new Date(point.time).toISOString(),
+                latitude: point.latitude,
+                longitude: point.longitude,
+                speed: point.speed,
+            }));
+    }),
+
+    StatusData: (search, now) => {
+        const diagnosticId = search?.diagnosticSearch?.id;
+        const kind = Object.keys(DIAGNOSTICS).find(name => DIAGNOSTICS[name].includes(diagnosticId));
+        if (!kind) return [];
+
+        return searchVehicles(search).flatMap(index => {
+            const { from, to } = searchRange(search, now, DAY);
+            const trips = completedTrips(index, from, to);
+            const reading = (time, data, suffix = '') => ({
+                id: `bDemoStatus${index + 1}x${diagnosticId}x${time}${suffix}`,
+                device: { id: deviceId(index) },
+                diagnostic: { id: diagnosticId },
+                dateTime: new Date(time).toISOString(),
+                data,
+            });
+
+            if (kind.startsWith('acceleration')) {
+                return trips.flatMap(trip => accelerometerReadings(index, trip, kind))
+                    .filter(({ time }) => time >= from && time <= to)
+                    .map(({ time, value }) => reading(time, value));
+            }
+
+            // Engine values are logged at the end of each trip
+            return trips
+                .filter(trip => trip.stop >= from && trip.stop <= to)
+                .map(trip => {
+                    const km = odometerKm(index, trip.stop);
+                    const { consumption } = VEHICLES[index];
+                    if (kind === 'odometer') return reading(trip.stop, Math.round(km * 1000));
+                    if (kind === 'totalFuel') return reading(trip.stop, Number((km * consumption).toFixed(1)));
+                    // Topped up overnight, so the level only reflects today's driving
+                    const used = distanceSoFar(index, trip.stop) * consumption;
+                    return reading(trip.stop, Math.max(5, Math.round(95 - used / TANK_SIZE * 100)));
+                });
+        });
+    },
+
+    FaultData: (search, now) => searchVehicles(search).flatMap(index => {
+        const { from, to } = searchRange(search, now, HISTORY_DAYS * DAY);
+        const faults = [];
+        for (let dayNumber = Math.floor(from / DAY); dayNumber <= Math.floor(to / DAY); dayNumber++) {
+            const random = seededRandom(dayNumber * 31 + index * 104729);
+            // Roughly one fault every four days per vehicle
+            if (random() > 0.25) continue;
+
+            const fault = FAULTS[Math.floor(random() * FAULTS.length)];
+            const time = dayNumber * DAY + Math.round(random() * DAY);
+            if (time < from || time > to) continue;
+
+            faults.push({
+                id: `bDemoFault${index + 1}x${dayNumber}`,
+                device: { id: deviceId(index) },
+                diagnostic: fault.diagnostic,
+                dateTime: new Date(time).toISOString(),
+                faultState: now - time < DAY ? 'Active' : 'Inactive',
+                failureMode: fault.failureMode,
+                controller: { id: 'ControllerJ1939EngineId', name: 'Engine #1' },
+                sourceAddress: 0,
+                spn: fault.spn,
+                fmi: fault.fmi,
+                count: 1 + Math.floor(random() * 4),
+                amberWarningLamp: fault.fmi !== 0,
+                redStopLamp: fault.fmi === 0,
+                protectWarningLamp: false,
+            });
+        }
+        return faults;
+    }),
+
+    Zone: (search, now, state) => state.zones,
+
+    User: (search, now, state, credentials) => [{
+        id: 'bDemoUser',
+        name: credentials?.userName || DEMO_CREDENTIALS.userName,
+        firstName: 'Demo',
+        lastName: 'User',
+        securityGroups: [{ id: 'GroupEverythingSecurityId' }],
+        companyGroups: [{ id: 'GroupCompanyId' }],
+    }],
+
+    Group: () => [{ id: 'GroupCompanyId', name: 'Company', children: [] }],
+
+    Diagnostic: () => Object.values(DIAGNOSTICS).flat()
+        .map(id => ({ id, name: id.replace(/^Diagnostic|Id$/g, '') })),
+};
+
+/**
+ * Accelerometer samples (m/s²) along a trip, with occasional harsh braking and cornering.
+ */
+function accelerometerReadings(vehicleIndex, trip, kind) {
+    const random = seededRandom(trip.start / 1000 + vehicleIndex);
+    return trip.points.slice(1).map((point, i) => {
+        const previous = trip.points[i];
+        const dt = (point.time - previous.time) / 1000 || 1;
+        const turn = ((point.bearing - previous.bearing + 540) % 360) - 180;
+        const harsh = random() < 0.04;
+
+        const values = {
+            accelerationForward: (point.speed - previous.speed) / 3.6 / dt + (random() - 0.5) * 0.6 + (harsh ? -3.5 : 0),
+            accelerationRight: turn / 30 + (random() - 0.5) * 0.5,
+            accelerationUp: (random() - 0.5) * 0.4,
+        };
+        return { time: point.time, value: Number(values[kind].toFixed(3)) };
+    });
+}
+
+function rpcError(type, message, data = {}) {
+    return {
+        name: 'JSONRPCError',
+        message,
+        code: -32000,
+        errors: [{ name: type, message }],
+        data: { type, ...data },
+    };
+}
+
+class DemoError extends Error {
+    constructor(type, message) {
+        super(message);
+        this.type = type;
+    }
+}
+
+// Zones can be edited in demo mode, so they live in mutable state rather than being generated
+const state = {
+    zones: INITIAL_ZONES.map(zone => ({ ...zone })),
+    nextId: 1,
+};
+
+/**
+ * Runs a single call.
+ */
+function runCall(method, params = {}, now) {
+    const credentials = params.credentials;
+
+    if (method === 'Authenticate') {
+        return {
+            credentials: {
+                database: params.database || DEMO_CREDENTIALS.database,
+                userName: params.userName || DEMO_CREDENTIALS.userName,
+                sessionId: 'demo-session',
+            },
+            path: 'ThisServer',
+        };
+    }
+
+    if (!credentials?.sessionId) {
+        throw new DemoError('InvalidUserException', 'Incorrect login credentials');
+    }
+
+    if (method === 'MultiCall') {
+        return (params.calls || []).map((call, requestIndex) => {
+            try {
+                return runCall(call.method, { ...call.params, credentials }, now);
+            } catch (err) {
+                err.requestIndex = requestIndex;
+                throw err;
+            }
+        });
+    }
+
+    const getEntities = entityTypes[params.typeName];
+    if (!getEntities && ['Get', 'GetCountOf', 'GetFeed', 'Add', 'Set', 'Remove'].includes(method)) {
+        throw new DemoError('ArgumentException', `Type '${params.typeName}' is not available in demo mode`);
+    }
+
+    const find = () => {
+        let entities = getEntities(params.search, now, state, credentials);
+        if (params.search?.id) {
+            entities = entities.filter(entity => entity.id === params.search.id);
+        }
+        return entities;
+    };
+
+    switch (method) {
+        case 'Get': {
+            const entities = find();
+            return params.resultsLimit ? entities.slice(0, params.resultsLimit) : entities;
+        }
+        case 'GetCountOf':
+            return find().length;
+        case 'GetFeed': {
+            // The version is simply the time of the previous call
+            const fromDate = params.fromVersion ? new Date(Number(params.fromVersion)).toISOString() : new Date(now - 5 * MINUTE).toISOString();
+            const search = { ...params.search, fromDate, toDate: new Date(now).toISOString() };
+            const data = getEntities(search, now, state, credentials);
+            return { data: params.resultsLimit ? data.slice(0, params.resultsLimit) : data, toVersion: String(now) };
+        }
+        case 'Add':
+        case 'Set':
+        case 'Remove':
+            return changeZone(method, params);
+        default:
+            throw new DemoError('MissingMethodException', `Method '${method}' is not available in demo mode`);
+    }
+}
+
+function changeZone(method, { typeName, entity }) {
+    if (typeName !== 'Zone') {
+        throw new DemoError('InvalidPermissionsException', `${typeName} is read-only in demo mode`);
+    }
+    if (!entity) {
+        throw new DemoError('ArgumentNullException', "Value cannot be null. (Parameter 'entity')");
+    }
+
+    if (method === 'Add') {
+        const id = `bDemoZoneNew${state.nextId++}`;
+        state.zones.push({ ...entity, id });
+        return id;
+    }
+
+    const index = state.zones.findIndex(zone => zone.id === entity.id);
+    if (index === -1) {
+        throw new DemoError('ArgumentException', `Zone '${entity.id}' does not exist`);
+    }
+    if (method === 'Set') {
+        state.zones[index] = { ...state.zones[index], ...entity };
+    } else {
+        state.zones.splice(index, 1);
+    }
+    return null;
+}
+
+/**
+ * Answers a Geotab JSON-RPC request body with the body Geotab would send back.
+ * @param {Object} body - { method, params, id }
+ * @param {Object} options - Optional { now, signal }: the current time in ms (defaults to Date.now())
+ *   and a signal that cancels the request, like aborting an HTTP call, before it changes anything.
+ * @returns {Promise<Object>} { jsonrpc, id, result } or { jsonrpc, id, error }
+ */
+export async function handleDemoRequest(body, { now = Date.now(), signal } = {}) {
+    signal?.throwIfAborted();
+
+    // A little latency, so loading states show up as they would against the real API
+    await new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, 100 + Math.random() * 200);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    try {
+        return { jsonrpc: '2.0', id: body?.id, result: runCall(body?.method, body?.params, now) };
+    } catch (err) {
+        if (!(err instanceof DemoError)) throw err;
+        const data = err.requestIndex !== undefined ? { requestIndex: err.requestIndex } : {};
+        return { jsonrpc: '2.0', id: body?.id, error: rpcError(err.type, err.message, data) };
+    }
+}
@@ -0,0 +1,250 @@
+// geotabClient.js
+/**
+ * Shared client for the Geotab JSON-RPC API. Every component and utility goes
+ * through this so that error handling, timeouts and retries behave the same everywhere.
+ */
+import axios from 'axios';
+import { makeApiCall, createCancellationError, getProxyUrl } from './apiErrorUtils';
+import { RequestBatcher } from './requestBatcher';
+import { ResponseCache } from './responseCache';
+
+// Retries are left to the per-method RETRY_POLICIES in apiErrorUtils
+const DEFAULT_OPTIONS = {
+    timeout: 30000,
+};
+
+/**
+ * Builds a single entry for a MultiCall request.
+ * @param {string} typeName - Geotab entity type (e.g. 'StatusData').
+ * @param {Object} search - Search parameters for the entity.
+ * @param {number} resultsLimit - Optional maximum number of results.
+ * @returns {Object} A { method, params } call description.
+ */
+export function buildGetCall(typeName, search, resultsLimit) {
+    const params = { typeName };
+    if (search) params.search = search;
+    if (resultsLimit) params.resultsLimit = resultsLimit;
+    return { method: 'Get', params };
+}
+
+/**
+ * Lets one caller stop waiting for a shared request without cancelling it for everyone else.
+ * The request itself is only aborted once all of its callers have aborted (see createSharedAbort).
+ * @param {Promise} promise - The shared request.
+ * @param {AbortSignal} signal - The caller's abort signal.
+ * @returns {Promise} Promise that rejects with a cancellation error once the signal aborts
+ */
+function withAbortSignal(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(createCancellationError());
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(createCancellationError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+export class GeotabClient {
+    /**
+     * @param {Object} sessionInfo - Session information ({ server, database, userName, sessionId }).
+     * @param {Object} options - Default call options ({ timeout, retries, retryDelay, maxRetryDelay }), plus
+     *   batchDelay and cacheTtls (per-type cache lifetimes in ms, see DEFAULT_CACHE_TTLS).
+     */
+    constructor(sessionInfo, options = {}) {
+        const { batchDelay, cacheTtls, ...callOptions } = options;
+
+        // Own copy, so an expired sessionId can be renewed without replacing the caller's object
+        this.sessionInfo = { ...sessionInfo };
+        this.options = { ...DEFAULT_OPTIONS, ...callOptions };
+        this.batcher = new RequestBatcher(
+            (calls, signal) => this.call('MultiCall', { calls }, { context: `Batched MultiCall (${calls.length} calls)`, signal }),
+            (method, params, signal) => this.call(method, params, { context: `${method} ${params.typeName}`, signal }),
+            { delay: batchDelay }
+        );
+        this.cache = new ResponseCache(cacheTtls);
+    }
+
+    /**
+     * Calls any API method with the session credentials attached.
+     * @param {string} method - API method name.
+     * @param {Object} params - API parameters.
+     * @param {Object} options - Per-call options overriding the client defaults.
+     * @returns {Promise} Promise that resolves to the API result
+     */
+    call(method, params = {}, options = {}) {
+        return makeApiCall(this.sessionInfo, method, params, { ...this.options, ...options });
+    }
+
+    /**
+     * Gets entities of a type. Calls made in the same tick with default options are
+     * batched into one MultiCall; pass batch: false to send the call on its own.
+     * Identical requests share one response, and slow-changing types are cached;
+     * pass cache: false to always go to the server. Aborting options.signal rejects this
+     * call at once; a request shared with other callers is cancelled once all of them abort.
+     * @param {string} typeName - Geotab entity type.
+     * @param {Object} search - Optional search parameters.
+     * @param {Object} options - Call options, plus optional resultsLimit, batch, cache and signal.
+     * @returns {Promise<Array>} Promise that resolves to the matching entities
+     */
+    get(typeName, search, options = {}) {
+        const { resultsLimit, batch = true, cache = true, signal, ...rest } = options;
+        // Callers often pass options they didn't set, like { priority: undefined }; those
+        // shouldn't keep the call out of a batch or override the client defaults
+        const callOptions = Object.fromEntries(Object.entries(rest).filter(([, value]) => value !== undefined));
+
+        if (signal?.aborted) {
+            return Promise.reject(createCancellationError());
+        }
+        const { params } = buildGetCall(typeName, search, resultsLimit);
+
+        // Given the caller's signal, or the cache's one for a request callers share
+        const load = (loadSignal) => {
+            // Calls with their own timeout, retry or priority settings can't share a batch
+            if (batch && Object.keys(callOptions).length === 0) {
+                return this.batcher.enqueue('Get', params, loadSignal);
+            }
+            return this.call('Get', params, { context: `Get ${typeName}`, ...callOptions, signal: loadSignal });
+        };
+
+        return withAbortSignal(cache ? this.cache.fetch(typeName, params, load, signal) : load(signal), signal);
+    }
+
+    /**
+     * Drops cached results so the next Get goes to the server.
+     * @param {...string} typeNames - Entity types to invalidate; invalidates everything when omitted
+     */
+    invalidate(...typeNames) {
+        this.cache.invalidate(...typeNames);
+    }
+
+    /**
+     * Runs several calls in a single round-trip.
+     * @param {Array<Object>} calls - Array of { method, params } (see buildGetCall).
+     * @param {Object} options - Call options.
+     * @returns {Promise<Array>} Promise that resolves to one result per call, in order
+     */
+    multiCall(calls, options = {}) {
+        return this.call('MultiCall', { calls }, options);
+    }
+
+    /**
+     * Gets a feed of entities changed since a version.
+     * @param {string} typeName - Geotab entity type.
+     * @param {string|null} fromVersion - Version token from the previous feed call.
+     * @param {Object} search - Optional search parameters.
+     * @param {Object} options - Call options, plus an optional resultsLimit.
+     * @returns {Promise<Object>} Promise that resolves to { data, toVersion }
+     */
+    getFeed(typeName, fromVersion, search, options = {}) {
+        const { resultsLimit, ...callOptions } = options;
+        const params = { typeName };
+        if (fromVersion) params.fromVersion = fromVersion;
+        if (search) params.search = search;
+        if (resultsLimit) params.resultsLimit = resultsLimit;
+        return this.call('GetFeed', params, { context: `GetFeed ${typeName}`, ...callOptions });
+    }
+
+    /**
+     * Adds an entity.
+     * @param {string} typeName - Geotab entity type.
+     * @param {Object} entity - Entity to add.
+     * @returns {Promise<string>} Promise that resolves to the new entity id
+     */
+    add(typeName, entity, options = {}) {
+        return this.call('Add', { typeName, entity }, { context: `Add ${typeName}`, ...options })
+            .finally(() => this.invalidate(typeName));
+    }
+
+    /**
+     * Updates an entity.
+     * @param {string} typeName - Geotab entity type.
+     * @param {Object} entity - Entity to update (must include its id).
+     * @returns {Promise} Promise that resolves when the entity is saved
+     */
+    set(typeName, entity, options = {}) {
+        return this.call('Set', { typeName, entity }, { context: `Set ${typeName}`, ...options })
+            .finally(() => this.invalidate(typeName));
+    }
+
+    /**
+     * Removes an entity.
+     * @param {string} typeName - Geotab entity type.
+     * @param {Object} entity - Entity to remove (must include its id).
+     * @returns {Promise} Promise that resolves when the entity is removed
+     */
+    remove(typeName, entity, options = {}) {
+        return this.call('Remove', { typeName, entity }, { context: `Remove ${typeName}`, ...options })
+            .finally(() => this.invalidate(typeName));
+    }
+}
+
+/**
+ * Reduces whatever the user typed as a server to a bare host name,
+ * e.g. 'https://my.geotab.com/apiv1/' becomes 'my.geotab.com'.
+ * @param {string} server - Server as entered by the user or returned by Geotab.
+ * @returns {string} Lower-case host name (with port, if one was given)
+ */
+export function normalizeServer(server) {
+    return (server || '')
+        .trim()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+        .split(/[/?#]/)[0]
+        .toLowerCase();
+}
+
+/**
+ * Authenticates against a Geotab server. Geotab answers with the federated server
+ * that hosts the database in `path` ('ThisServer' when it is the one we asked);
+ * the resolved host is returned as `server` and should be used for every later call.
+ * @param {string} server - Server host name (e.g. my.geotab.com); URLs are accepted.
+ * @param {Object} credentials - { userName, password, database }.
+ * @returns {Promise<Object>} Promise that resolves to the Authenticate result, plus the resolved server
+ */
+export async function authenticate(server, { userName, password, database }) {
+    const host = normalizeServer(server);
+    const result = await makeApiCall({ server: host }, 'Authenticate', { userName, password, database }, {
+        context: 'Authenticate',
+    });
+
+    const path = result?.path && result.path !== 'ThisServer' ? normalizeServer(result.path) : '';
+    return { ...result, server: path || host };
+}
+
+/**
+ * Ends a session. Geotab has no logout call, so this only matters with the credential
+ * proxy, which forgets the account's session id; it never throws.
+ * @param {Object} sessionInfo - Session information.
+ * @returns {Promise<void>} Promise that resolves once the proxy has been told
+ */
+export async function logout(sessionInfo) {
+    const proxyUrl = getProxyUrl();
+    if (!proxyUrl || !sessionInfo) return;
+
+    try {
+        await axios.post(`${proxyUrl}/logout`, {
+            server: sessionInfo.server,
+            database: sessionInfo.database,
+            userName: sessionInfo.userName,
+        }, { withCredentials: true, timeout: 10000 });
+    } catch (err) {
+        console.warn('Could not log out of the proxy:', err.message);
+    }
+}
+
+// One client per session object, so every component shares the same instance
+const clients = new WeakMap();
+
+/**
+ * Returns the shared client for a session, creating it on first use.
+ * @param {Object} sessionInfo - Session information.
+ * @returns {GeotabClient} The client for this session
+ */
+export function getGeotabClient(sessionInfo) {
+    let client = clients.get(sessionInfo);
+    if (!client) {
+        client = new GeotabClient(sessionInfo);
+        clients.set(sessionInfo, client);
+    }
+    return client;
+}
@@ -0,0 +1,34 @@
+// markerClustering.js
+/**
+ * Groups map markers that would overlap at the current zoom, so a large fleet stays readable
+ */
+
+/**
+ * Clusters points on a square grid of screen pixels at the given zoom.
+ * @param {Array<Object>} points - Items with latitude and longitude.
+ * @param {Function} project - (point, zoom) => { x, y } in pixels, e.g. built on Leaflet's map.project.
+ * @param {number} zoom - Current map zoom.
+ * @param {Object} options - { radius } grid size in pixels and { maxZoom } above which nothing is clustered.
+ * @returns {Array<Object>} Clusters { id, latitude, longitude, points }; a lone point is a cluster of one
+ */
+export function clusterPoints(points, project, zoom, { radius = 60, maxZoom = 15 } = {}) {
+    if (zoom > maxZoom) {
+        return points.map(point => ({ id: point.id, latitude: point.latitude, longitude: point.longitude, points: [point] }));
+    }
+
+    const cells = new Map();
+    points.forEach(point => {
+        const { x, y } = project(point, zoom);
+        const key = `${Math.floor(x / radius)}:${Math.floor(y / radius)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(point);
+    });
+
+    return Array.from(cells.entries()).map(([key, members]) => ({
+        id: members.length === 1 ? members[0].id : `cluster-${zoom}-${key}`,
+        // Plain average is fine at the scale of one cell
+        latitude: members.reduce((sum, point) => sum + point.latitude, 0) / members.length,
+        longitude: members.reduce((sum, point) => sum + point.longitude, 0) / members.length,
+        points: members,
+    }));
+}
@@ -0,0 +1,112 @@
+// permissions.js
+/**
+ * Works out which features the signed-in user may use from their Geotab security clearance,
+ * so the UI can hide them with an explanation instead of failing with permission errors
+ */
+import { getGeotabClient } from './geotabClient';
+import { classifyGeotabError, isCancellationError } from './apiErrorUtils';
+
+/**
+ * Features that depend on the clearance, with the Geotab security identifiers that grant them
+ * and how to describe them to the user. The identifiers are names from Geotab's SecurityIdentifier
+ * list as they appear in a Group's securityFilters; npm run check:mock looks for each of them in
+ * the fixtures' clearances, so fixtures recorded from a real database confirm them.
+ */
+export const CAPABILITIES = {
+    viewFaults: { identifiers: ['EngineFaultList'], description: 'view fault codes' },
+    viewStatusData: { identifiers: ['EngineMeasurementsList'], description: 'view engine data such as fuel, odometer and accelerometer readings' },
+    viewZones: { identifiers: ['ZoneList'], description: 'view geofences' },
+    editZones: { identifiers: ['EditZones'], description: 'edit geofences' },
+};
+
+export const FULL_ACCESS = Object.fromEntries(Object.keys(CAPABILITIES).map(name => [name, true]));
+const NO_ACCESS = Object.fromEntries(Object.keys(CAPABILITIES).map(name => [name, false]));
+
+// Clearances built into every database; custom clearances start from one of these
+const BUILT_IN_CLEARANCES = {
+    GroupEverythingSecurityId: { name: 'Administrator', capabilities: FULL_ACCESS },
+    GroupSupervisorSecurityId: { name: 'Supervisor', capabilities: FULL_ACCESS },
+    GroupViewOnlySecurityId: { name: 'View Only', capabilities: { ...FULL_ACCESS, editZones: false } },
+    GroupNothingSecurityId: { name: 'Nothing', capabilities: NO_ACCESS },
+};
+
+/**
+ * Tells whether an API call failed because the user lacks the rights for it.
+ * @param {Error|Object} error - The error to check
+ * @returns {boolean} True for InvalidPermissionsException
+ */
+export function isPermissionError(error) {
+    return classifyGeotabError(error)?.name === 'InvalidPermissionsException';
+}
+
+/**
+ * Explains to the user why features are hidden.
+ * @param {Array<string>} capabilities - Keys of CAPABILITIES the user may not use
+ * @param {string|null} clearance - Name of the user's clearance(s), when known
+ * @returns {string} Explanation
+ */
+export function getPermissionMessage(capabilities, clearance = null) {
+    const features = capabilities.map(name => CAPABILITIES[name].description).join('; ');
+    return `Your security clearance${clearance ? ` (${clearance})` : ''} does not allow you to ${features}. These features are hidden.`;
+}
+
+/**
+ * Resolves the capabilities of a security group, walking up custom clearances to the
+ * built-in one they derive from and applying each level's added and removed rights.
+ */
+async function resolveClearance(client, groupId, signal, depth = 0) {
+    const builtIn = BUILT_IN_CLEARANCES[groupId];
+    if (builtIn) return builtIn;
+
+    const [group] = await client.get('Group', { id: groupId }, { signal });
+    // A clearance we can't read is treated as unrestricted; calls that are refused are caught later
+    if (!group || depth > 10) return { name: group?.name || groupId, capabilities: FULL_ACCESS };
+
+    const parent = group.parent?.id
+        ? await resolveClearance(client, group.parent.id, signal, depth + 1)
+        : { capabilities: FULL_ACCESS };
+    const capabilities = { ...parent.capabilities };
+
+    (group.securityFilters || []).forEach(({ securityIdentifier, isAdd }) => {
+        Object.entries(CAPABILITIES).forEach(([name, { identifiers }]) => {
+            if (identifiers.includes(securityIdentifier)) {
+                capabilities[name] = Boolean(isAdd);
+            }
+        });
+    });
+
+    return { name: group.name || groupId, capabilities };
+}
+
+/**
+ * Loads the current user and their security clearances and derives what they may do.
+ * Falls back to full access when the clearance can't be read, since the API still
+ * enforces the real rights.
+ * @param {Object} sessionInfo - Geotab session information.
+ * @param {Object} options - Optional { signal } to cancel the requests.
+ * @returns {Promise<Object>} { capabilities, clearance } where clearance names the user's clearance(s)
+ */
+export async function loadCapabilities(sessionInfo, { signal } = {}) {
+    const client = getGeotabClient(sessionInfo);
+
+    try {
+        const [user] = await client.get('User', { name: sessionInfo.userName }, { resultsLimit: 1, signal });
+        const groupIds = (user?.securityGroups || []).map(group => group.id).filter(Boolean);
+        if (groupIds.length === 0) {
+            return { capabilities: FULL_ACCESS, clearance: null };
+        }
+
+        const clearances = await Promise.all(groupIds.map(id => resolveClearance(client, id, signal)));
+        // A user with several clearances may do whatever any of them allows
+        const capabilities = Object.fromEntries(Object.keys(CAPABILITIES).map(name => [
+            name,
+            clearances.some(clearance => clearance.capabilities[name]),
+        ]));
+
+        return { capabilities, clearance: clearances.map(clearance => clearance.name).join(', ') };
+    } catch (err) {
+        if (isCancellationError(err)) throw err;
+        console.warn('Could not load security clearance:', err.message);
+        return { capabilities: FULL_ACCESS, clearance: null };
+    }
+}
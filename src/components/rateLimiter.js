@@ -0,0 +1,227 @@
+// rateLimiter.js
+/**
+ * Tracks API calls per method over sliding windows so we stay under Geotab's per-user rate limits,
+ * deferring low-priority requests while the budget is nearly used up
+ */
+import { createCancellationError } from './apiErrorUtils';
+
+/**
+ * Limits keyed by method, or by 'Method:TypeName' for limits on a single entity type.
+ * The most specific key wins; methods without an entry are not tracked.
+ * These are conservative defaults, Geotab can set different limits per database.
+ */
+export const DEFAULT_RATE_LIMITS = {
+    Authenticate: { limit: 10, window: 60 * 1000 },
+    'Get:LogRecord': { limit: 60, window: 60 * 1000 },
+    'Get:StatusData': { limit: 300, window: 60 * 1000 },
+    'Get:FaultData': { limit: 300, window: 60 * 1000 },
+    GetFeed: { limit: 60, window: 60 * 1000 },
+    Get: { limit: 1000, window: 60 * 1000 },
+};
+
+// Share of each budget held back for normal requests; low-priority ones wait once it is reached
+const LOW_PRIORITY_RESERVE = 0.2;
+
+let configuredLimits = { ...DEFAULT_RATE_LIMITS };
+
+/**
+ * Overrides entries of the limits table for all users.
+ * @param {Object} limits - Entries to merge over DEFAULT_RATE_LIMITS ({ limit, window } per key)
+ */
+export function configureRateLimits(limits) {
+    configuredLimits = { ...DEFAULT_RATE_LIMITS, ...limits };
+    limiters.forEach(limiter => { limiter.limits = configuredLimits; });
+}
+
+/**
+ * Reads limits written as comma-separated 'key=calls/seconds' entries, e.g.
+ * 'Get:LogRecord=60/60,Authenticate=10/60'. Entries that don't parse are skipped with a warning.
+ * @param {string} value - Limits as text; may be empty
+ * @returns {Object} Entries for configureRateLimits
+ */
+export function parseRateLimits(value = '') {
+    const limits = {};
+    value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const match = entry.match(/^([A-Za-z]+(?::[A-Za-z]+)?)=(\d+)\/(\d+)$/);
+        if (!match || Number(match[3]) === 0) {
+            console.warn(`Ignoring rate limit '${entry}'; expected e.g. Get:LogRecord=60/60`);
+            return;
+        }
+        limits[match[1]] = { limit: Number(match[2]), window: Number(match[3]) * 1000 };
+    });
+    return limits;
+}
+
+/**
+ * Returns the rate-limit keys a call counts against. A MultiCall counts each of its calls.
+ * @param {Object} limits - Limits table
+ * @param {string} method - API method name
+ * @param {Object} params - API parameters
+ * @returns {Array<string>} Matching keys (may repeat, one per counted call)
+ */
+function getKeys(limits, method, params) {
+    if (method === 'MultiCall') {
+        return (params?.calls || []).flatMap(call => getKeys(limits, call.method, call.params));
+    }
+
+    const typeKey = params?.typeName ? `${method}:${params.typeName}` : null;
+    if (typeKey && limits[typeKey]) return [typeKey];
+    return limits[method] ? [method] : [];
+}
+
+export class RateLimiter {
+    /**
+     * @param {Object} limits - Limits table (see DEFAULT_RATE_LIMITS).
+     */
+    constructor(limits = configuredLimits) {
+        this.limits = limits;
+        this.calls = new Map();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Drops timestamps that have left the window.
+     * @param {string} key - Rate-limit key
+     * @returns {Array<number>} Timestamps still inside the window
+     */
+    prune(key) {
+        const { window } = this.limits[key];
+        const cutoff = Date.now() - window;
+        const timestamps = (this.calls.get(key) || []).filter(time => time > cutoff);
+        this.calls.set(key, timestamps);
+        return timestamps;
+    }
+
+    /**
+     * Returns how much of a budget is left.
+     * @param {string} key - Rate-limit key
+     * @returns {Object} { key, used, limit, remaining, resetIn } with resetIn in ms until a slot frees up
+     */
+    getUsage(key) {
+        const { limit, window } = this.limits[key];
+        const timestamps = this.prune(key);
+        return {
+            key,
+            used: timestamps.length,
+            limit,
+            remaining: Math.max(0, limit - timestamps.length),
+            resetIn: timestamps.length ? Math.max(0, timestamps[0] + window - Date.now()) : 0,
+        };
+    }
+
+    /**
+     * Returns usage for every budget that has been used in its current window.
+     * @returns {Array<Object>} Usage objects (see getUsage), most constrained first
+     */
+    getBudget() {
+        return Array.from(this.calls.keys())
+            .filter(key => this.limits[key])
+            .map(key => this.getUsage(key))
+            .filter(usage => usage.used > 0)
+            .sort((a, b) => a.remaining / a.limit - b.remaining / b.limit);
+    }
+
+    /**
+     * Works out how long a call has to wait before it fits in the budget.
+     * @param {Array<string>} keys - Keys the call counts against
+     * @param {string} priority - 'normal' or 'low'
+     * @returns {number} Wait in ms, 0 if the call can go now
+     */
+    getWait(keys, priority) {
+        let wait = 0;
+        const needed = keys.reduce((counts, key) => ({ ...counts, [key]: (counts[key] || 0) + 1 }), {});
+
+        Object.entries(needed).forEach(([key, count]) => {
+            const { limit, window } = this.limits[key];
+            const reserve = priority === 'low' ? Math.ceil(limit * LOW_PRIORITY_RESERVE) : 0;
+            const timestamps = this.prune(key);
+            // Number of current calls that must expire before this one fits
+            const excess = timestamps.length + count + reserve - limit;
+
+            if (excess > 0) {
+                // A call bigger than the whole budget can't be helped by waiting; let the server decide
+                const oldest = timestamps[Math.min(excess, timestamps.length) - 1];
+                if (oldest !== undefined && count <= limit) {
+                    wait = Math.max(wait, oldest + window - Date.now());
+                }
+            }
+        });
+
+        return wait;
+    }
+
+    /**
+     * Waits until a call fits in the budget, then counts it.
+     * @param {string} method - API method name
+     * @param {Object} params - API parameters
+     * @param {Object} options - { priority: 'normal' | 'low', signal }
+     * @returns {Promise} Promise that resolves once the call may be sent
+     */
+    async acquire(method, params, { priority = 'normal', signal } = {}) {
+        const keys = getKeys(this.limits, method, params);
+        if (keys.length === 0) return;
+
+        let wait = this.getWait(keys, priority);
+        while (wait > 0) {
+            this.notify();
+            await delay(wait, signal);
+            wait = this.getWait(keys, priority);
+        }
+
+        const now = Date.now();
+        keys.forEach(key => this.calls.set(key, [...this.prune(key), now]));
+        this.notify();
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Subscribes to budget changes.
+     * @param {Function} listener - Called with the limiter whenever a call is counted or deferred
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createCancellationError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createCancellationError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Geotab limits apply per user, so every session of the same user shares a limiter
+const limiters = new Map();
+
+/**
+ * Returns the rate limiter for a user, creating it on first use.
+ * @param {string} server - Server host name.
+ * @param {string} database - Database name.
+ * @param {string} userName - User name.
+ * @returns {RateLimiter} The limiter for this user
+ */
+export function getRateLimiter(server, database, userName) {
+    const key = `${server}|${database}|${userName}`;
+    let limiter = limiters.get(key);
+    if (!limiter) {
+        limiter = new RateLimiter(configuredLimits);
+        limiters.set(key, limiter);
+    }
+    return limiter;
+}
@@ -0,0 +1,104 @@
+// requestBatcher.js
+/**
+ * Coalesces API calls issued in the same tick into a single Geotab MultiCall
+ */
+import { createCancellationError, createSharedAbort } from './apiErrorUtils';
+
+export class RequestBatcher {
+    /**
+     * @param {Function} sendMultiCall - (calls, signal) => Promise resolving to one result per call.
+     * @param {Function} sendSingle - (method, params, signal) => Promise resolving to the call result.
+     * @param {Object} options - { maxBatchSize, delay } where delay is the collection window in ms.
+     */
+    constructor(sendMultiCall, sendSingle, options = {}) {
+        this.sendMultiCall = sendMultiCall;
+        this.sendSingle = sendSingle;
+        this.maxBatchSize = options.maxBatchSize ?? 100;
+        this.delay = options.delay ?? 0;
+        this.queue = [];
+        this.timer = null;
+    }
+
+    /**
+     * Queues a call to be sent with the next batch. Aborting the signal takes the call out of
+     * the queue, or once sent, cancels the MultiCall when every call in it has been aborted.
+     * @param {string} method - API method name.
+     * @param {Object} params - API parameters (without credentials).
+     * @param {AbortSignal} signal - Optional signal to cancel the call.
+     * @returns {Promise} Promise that resolves to this call's own result
+     */
+    enqueue(method, params, signal) {
+        if (signal?.aborted) {
+            return Promise.reject(createCancellationError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { method, params, signal, resolve, reject };
+            this.queue.push(entry);
+
+            signal?.addEventListener('abort', () => {
+                const index = this.queue.indexOf(entry);
+                if (index !== -1) this.queue.splice(index, 1);
+                reject(createCancellationError());
+            }, { once: true });
+
+            if (this.queue.length >= this.maxBatchSize) {
+                this.flush();
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), this.delay);
+            }
+        });
+    }
+
+    /**
+     * Sends everything queued so far.
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const entries = this.queue.splice(0, this.queue.length);
+        for (let i = 0; i < entries.length; i += this.maxBatchSize) {
+            this.dispatch(entries.slice(i, i + this.maxBatchSize));
+        }
+    }
+
+    async dispatch(entries) {
+        // Calls aborted since they were queued have already been rejected
+        entries = entries.filter(entry => !entry.signal?.aborted);
+        if (entries.length === 0) return;
+
+        // No point wrapping a lone call in a MultiCall
+        if (entries.length === 1) {
+            const [entry] = entries;
+            try {
+                entry.resolve(await this.sendSingle(entry.method, entry.params, entry.signal));
+            } catch (error) {
+                entry.reject(error);
+            }
+            return;
+        }
+
+        const shared = createSharedAbort();
+        entries.forEach(entry => shared.join(entry.signal));
+
+        try {
+            const results = await this.sendMultiCall(entries.map(({ method, params }) => ({ method, params })), shared.signal);
+            entries.forEach((entry, index) => entry.resolve(results?.[index]));
+        } catch (error) {
+            // Geotab fails the whole MultiCall when one call fails, and names that call in requestIndex
+            const failedIndex = error?.apiError?.data?.requestIndex;
+
+            if (error?.apiError && Number.isInteger(failedIndex) && entries[failedIndex]) {
+                entries[failedIndex].reject(error);
+                this.dispatch(entries.filter((_, index) => index !== failedIndex));
+            } else if (error?.apiError) {
+                // The failing call is unknown, so send each one separately to route errors to their callers
+                entries.forEach(entry => this.dispatch([entry]));
+            } else {
+                // Network or timeout errors affect every call in the batch
+                entries.forEach(entry => entry.reject(error));
+            }
+        }
+    }
+}
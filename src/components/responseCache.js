@@ -0,0 +1,103 @@
+// responseCache.js
+/**
+ * Caches Get results for slow-changing entities and de-duplicates identical in-flight requests
+ */
+import { createSharedAbort } from './apiErrorUtils';
+
+// Time-to-live in milliseconds for entity types that rarely change
+export const DEFAULT_CACHE_TTLS = {
+    Device: 5 * 60 * 1000,
+    Zone: 5 * 60 * 1000,
+    Group: 30 * 60 * 1000,
+    Diagnostic: 60 * 60 * 1000,
+};
+
+/**
+ * Serializes a value to JSON with object keys sorted, so equal searches give equal keys.
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON string
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+export class ResponseCache {
+    /**
+     * @param {Object} ttls - Per-type TTLs in ms, merged over DEFAULT_CACHE_TTLS. Types without a TTL are only de-duplicated.
+     */
+    constructor(ttls = {}) {
+        this.ttls = { ...DEFAULT_CACHE_TTLS, ...ttls };
+        this.entries = new Map();
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Returns a cached or in-flight result for the same request, or starts a new one.
+     * An in-flight request is aborted once every caller waiting on it has aborted.
+     * @param {string} typeName - Geotab entity type.
+     * @param {Object} params - Get parameters (typeName, search, resultsLimit).
+     * @param {Function} load - (signal) => Promise; performs the request when nothing usable is cached.
+     * @param {AbortSignal} signal - Optional signal of this caller.
+     * @returns {Promise} Promise that resolves to the result
+     */
+    fetch(typeName, params, load, signal) {
+        const key = stableStringify(params);
+        const ttl = this.ttls[typeName];
+
+        const entry = this.entries.get(key);
+        if (entry && entry.expires > Date.now()) {
+            return Promise.resolve(copyResult(entry.value));
+        }
+        this.entries.delete(key);
+
+        // A request every caller gave up on may still be settling; don't join it
+        if (!this.inFlight.has(key) || this.inFlight.get(key).shared.signal.aborted) {
+            const shared = createSharedAbort();
+            const request = load(shared.signal)
+                .then(value => {
+                    // Only store the result if it wasn't invalidated while in flight
+                    if (ttl && this.inFlight.get(key)?.request === request) {
+                        this.entries.set(key, { typeName, value, expires: Date.now() + ttl });
+                    }
+                    return value;
+                })
+                .finally(() => {
+                    if (this.inFlight.get(key)?.request === request) {
+                        this.inFlight.delete(key);
+                    }
+                });
+            this.inFlight.set(key, { typeName, request, shared });
+        }
+
+        const pending = this.inFlight.get(key);
+        pending.shared.join(signal);
+
+        // Each caller gets its own array, since callers sort results in place
+        return pending.request.then(copyResult);
+    }
+
+    /**
+     * Drops cached and in-flight results so the next request goes to the server.
+     * @param {...string} typeNames - Entity types to invalidate; invalidates everything when omitted
+     */
+    invalidate(...typeNames) {
+        const matches = item => typeNames.length === 0 || typeNames.includes(item.typeName);
+
+        for (const [key, entry] of this.entries) {
+            if (matches(entry)) this.entries.delete(key);
+        }
+        for (const [key, pending] of this.inFlight) {
+            if (matches(pending)) this.inFlight.delete(key);
+        }
+    }
+}
+
+function copyResult(value) {
+    return Array.isArray(value) ? value.slice() : value;
+}
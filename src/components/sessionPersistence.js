@@ -0,0 +1,158 @@
+// sessionPersistence.js
+/**
+ * Opt-in "remember me" storage for Geotab sessions and the user's last selection in each,
+ * plus the list of saved accounts offered on the login form.
+ * Only the server, database, userName and sessionId are stored, never the password.
+ */
+
+const SESSIONS_KEY = 'geotabSessions';
+const ACCOUNTS_KEY = 'geotabAccounts';
+
+function read(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch {
+        // Storage may be unavailable (private browsing) or hold something we didn't write
+        return fallback;
+    }
+}
+
+function write(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        console.warn('Could not save to local storage:', err.message);
+    }
+}
+
+/**
+ * Identifies an account; a user can be signed into several databases at once.
+ * @param {Object} account - { server, database, userName }.
+ * @returns {string} Key that is equal for the same account
+ */
+export function getAccountKey({ server, database, userName }) {
+    return `${server}|${database}|${userName}`.toLowerCase();
+}
+
+function readSessions() {
+    const stored = read(SESSIONS_KEY, null);
+    return stored && typeof stored.accounts === 'object' ? stored : { accounts: {}, activeKey: null };
+}
+
+/**
+ * Remembers a session on this device and makes it the one restored first.
+ * @param {Object} sessionInfo - Session information ({ server, database, userName, sessionId }).
+ */
+export function saveSession({ server, database, userName, sessionId }) {
+    const stored = readSessions();
+    const key = getAccountKey({ server, database, userName });
+    const selection = stored.accounts[key]?.selection ?? {};
+    stored.accounts[key] = { session: { server, database, userName, sessionId }, selection };
+    write(SESSIONS_KEY, { ...stored, activeKey: key });
+}
+
+/**
+ * Updates the stored session id after a session has been renewed.
+ * Does nothing unless the user chose to be remembered for this account.
+ * @param {Object} sessionInfo - The renewed session.
+ * @param {string} sessionId - Its new session id.
+ */
+export function updateStoredSessionId(sessionInfo, sessionId) {
+    const stored = readSessions();
+    const entry = stored.accounts[getAccountKey(sessionInfo)];
+    if (entry) {
+        entry.session = { ...entry.session, sessionId };
+        write(SESSIONS_KEY, stored);
+    }
+}
+
+/**
+ * Remembers the selected vehicle and trip for a session.
+ * Does nothing unless the user chose to be remembered for this account.
+ * @param {Object} sessionInfo - The session the selection belongs to.
+ * @param {Object} selection - { vehicleId, trip } where trip is a Trip summary (its path and points are not stored).
+ */
+export function saveSelection(sessionInfo, { vehicleId, trip }) {
+    const stored = readSessions();
+    const entry = stored.accounts[getAccountKey(sessionInfo)];
+    if (!entry) return;
+
+    // The trip path can be thousands of points, so it is fetched again on restore instead
+    const tripSummary = trip ? { ...trip, path: undefined, points: undefined } : null;
+    entry.selection = { vehicleId: vehicleId ?? null, trip: tripSummary };
+    write(SESSIONS_KEY, stored);
+}
+
+/**
+ * Makes a remembered session the one restored first. Does nothing for sessions that aren't remembered.
+ * @param {Object} sessionInfo - The session that is now active.
+ */
+export function setActiveStoredSession(sessionInfo) {
+    const stored = readSessions();
+    const key = getAccountKey(sessionInfo);
+    if (stored.accounts[key] && stored.activeKey !== key) {
+        write(SESSIONS_KEY, { ...stored, activeKey: key });
+    }
+}
+
+/**
+ * Returns every remembered session with its selection.
+ * @returns {Object|null} { entries: [{ session, selection }], activeKey } or null when nothing is remembered
+ */
+export function loadStoredSessions() {
+    const { accounts, activeKey } = readSessions();
+    const entries = Object.values(accounts).filter(entry => entry?.session?.sessionId);
+    return entries.length > 0 ? { entries, activeKey } : null;
+}
+
+/**
+ * Forgets a remembered session and its selection.
+ * @param {Object} sessionInfo - The session to forget.
+ */
+export function clearStoredSession(sessionInfo) {
+    const stored = readSessions();
+    const key = getAccountKey(sessionInfo);
+    if (!stored.accounts[key]) return;
+
+    delete stored.accounts[key];
+    if (stored.activeKey === key) {
+        stored.activeKey = null;
+    }
+    write(SESSIONS_KEY, stored);
+}
+
+/**
+ * Returns the accounts offered on the login form.
+ * @returns {Array<Object>} Saved { server, database, userName } accounts, most recently used first
+ */
+export function loadSavedAccounts() {
+    const accounts = read(ACCOUNTS_KEY, []);
+    return Array.isArray(accounts) ? accounts : [];
+}
+
+/**
+ * Adds an account to the login form's list, or moves it to the top if already there.
+ * @param {Object} account - { server, database, userName }.
+ * @returns {Array<Object>} The updated list
+ */
+export function addSavedAccount({ server, database, userName }) {
+    const key = getAccountKey({ server, database, userName });
+    const accounts = [
+        { server, database, userName },
+        ...loadSavedAccounts().filter(account => getAccountKey(account) !== key),
+    ];
+    write(ACCOUNTS_KEY, accounts);
+    return accounts;
+}
+
+/**
+ * Removes an account from the login form's list.
+ * @param {Object} account - { server, database, userName }.
+ * @returns {Array<Object>} The updated list
+ */
+export function removeSavedAccount(account) {
+    const key = getAccountKey(account);
+    const accounts = loadSavedAccounts().filter(saved => getAccountKey(saved) !== key);
+    write(ACCOUNTS_KEY, accounts);
+    return accounts;
+}
@@ -0,0 +1,36 @@
+// sessionSync.js
+/**
+ * Keeps every open tab of the app in step: logins, logouts and user activity in one tab
+ * are broadcast to the others over a BroadcastChannel
+ */
+
+const CHANNEL_NAME = 'geotab-tracker-session';
+
+/**
+ * Opens the channel shared by all tabs.
+ * @param {Function} onMessage - Called with each message ({ type, ... }) posted by another tab.
+ * @returns {Object} { post(message), close() }; both are no-ops where BroadcastChannel is unsupported
+ */
+export function createSessionSync(onMessage) {
+    if (typeof BroadcastChannel === 'undefined') {
+        return { post: () => {}, close: () => {} };
+    }
+
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => {
+        if (event.data && typeof event.data.type === 'string') {
+            onMessage(event.data);
+        }
+    };
+
+    return {
+        post: (message) => {
+            try {
+                channel.postMessage(message);
+            } catch (err) {
+                console.warn('Could not sync with other tabs:', err.message);
+            }
+        },
+        close: () => channel.close(),
+    };
+}
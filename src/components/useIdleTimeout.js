@@ -0,0 +1,69 @@
+// useIdleTimeout.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Input that counts as the user being at the workstation
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'wheel', 'touchstart', 'scroll'];
+
+/**
+ * Tracks user inactivity and calls onTimeout once the user has been idle for `timeout` ms.
+ * For the last `warningTime` ms the hook reports a countdown so a warning can be shown.
+ * @param {Object} options - { timeout, warningTime, onTimeout, onActivity, enabled }. onActivity is
+ *   called (at most every few seconds) when the user does something, e.g. to tell other tabs.
+ * @returns {Object} { isWarning, remaining, reset } with remaining in ms until timeout while warning
+ */
+export function useIdleTimeout({ timeout, warningTime, onTimeout, onActivity, enabled = true }) {
+    const [remaining, setRemaining] = useState(null);
+    const lastActivityRef = useRef(Date.now());
+    const lastReportedRef = useRef(0);
+
+    // Kept in refs so callers can pass inline functions without restarting the timers
+    const onTimeoutRef = useRef(onTimeout);
+    const onActivityRef = useRef(onActivity);
+    useEffect(() => {
+        onTimeoutRef.current = onTimeout;
+        onActivityRef.current = onActivity;
+    }, [onTimeout, onActivity]);
+
+    // Marks the user as active now, e.g. after "Stay signed in" or activity in another tab
+    const reset = useCallback(() => {
+        lastActivityRef.current = Date.now();
+        setRemaining(null);
+    }, []);
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        lastActivityRef.current = Date.now();
+
+        const handleActivity = () => {
+            const now = Date.now();
+            lastActivityRef.current = now;
+            // Mouse moves fire constantly, so only report activity every few seconds
+            if (now - lastReportedRef.current > 5000) {
+                lastReportedRef.current = now;
+                onActivityRef.current?.();
+            }
+        };
+
+        const check = () => {
+            const left = timeout - (Date.now() - lastActivityRef.current);
+            if (left <= 0) {
+                setRemaining(null);
+                onTimeoutRef.current?.();
+            } else {
+                setRemaining(left <= warningTime ? left : null);
+            }
+        };
+
+        ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, handleActivity, { passive: true }));
+        const interval = setInterval(check, 1000);
+
+        return () => {
+            ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, handleActivity));
+            clearInterval(interval);
+            setRemaining(null);
+        };
+    }, [enabled, timeout, warningTime]);
+
+    return { isWarning: remaining !== null, remaining, reset };
+}
@@ -0,0 +1,63 @@
+// usePolling.js
+import { useEffect, useRef } from 'react';
+
+/**
+ * Calls `callback` every `interval` ms while enabled. Polling pauses while the tab is hidden,
+ * so background tabs don't spend the API rate limit, and catches up as soon as it is shown.
+ * A call still in progress is never overlapped by the next one.
+ * @param {Function} callback - Function to call; may return a promise.
+ * @param {number} interval - Time between the end of one call and the start of the next, in ms.
+ * @param {boolean} enabled - Whether to poll.
+ */
+export function usePolling(callback, interval, enabled = true) {
+    // Kept in a ref so callers can pass inline functions without restarting the timer
+    const callbackRef = useRef(callback);
+    useEffect(() => {
+        callbackRef.current = callback;
+    }, [callback]);
+
+    useEffect(() => {
+        if (!enabled || !interval) return;
+
+        let timer = null;
+        let isRunning = false;
+        let isStopped = false;
+
+        const schedule = () => {
+            clearTimeout(timer);
+            if (!isStopped && !document.hidden) {
+                timer = setTimeout(poll, interval);
+            }
+        };
+
+        const poll = async () => {
+            if (isRunning || isStopped || document.hidden) return;
+            isRunning = true;
+            try {
+                await callbackRef.current();
+            } catch (err) {
+                console.warn('Polling failed:', err.message);
+            } finally {
+                isRunning = false;
+                schedule();
+            }
+        };
+
+        const handleVisibilityChange = () => {
+            if (document.hidden) {
+                clearTimeout(timer);
+            } else {
+                poll();
+            }
+        };
+
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        schedule();
+
+        return () => {
+            isStopped = true;
+            clearTimeout(timer);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [interval, enabled]);
+}
@@ -1,36 +1,20 @@
 // vehicleUtils.js
-import axios from 'axios';
+import { getGeotabClient, buildGetCall } from './geotabClient';
+import { isCancellationError, classifyGeotabError } from './apiErrorUtils';
 
 /**
  * Enhanced function to fetch fault codes with more detailed information.
  * @param {object} sessionInfo - Geotab session information.
  * @param {string} deviceId - The ID of the device.
+ * @param {object} options - Optional { signal, priority } to cancel the request or defer it under rate limits.
  * @returns {Promise<Array>} A promise that resolves to an array of grouped fault codes.
  */
-export async function fetchFaultCodes(sessionInfo, deviceId) {
-    const apiUrl = `https://${sessionInfo.server}/apiv1/`;
-
+export async function fetchFaultCodes(sessionInfo, deviceId, { signal, priority } = {}) {
     try {
-        const response = await axios.post(apiUrl, {
-            jsonrpc: '2.0',
-            method: 'Get',
-            params: {
-                typeName: 'FaultData',
-                search: {
-                    deviceSearch: { id: deviceId },
-                },
-                credentials: {
-                    database: sessionInfo.database,
-                    userName: sessionInfo.userName,
-                    sessionId: sessionInfo.sessionId,
-                },
-            },
-            id: Math.floor(Math.random() * 10000),
-        }, {
-            headers: { 'Content-Type': 'application/json' }
-        });
+        const result = await getGeotabClient(sessionInfo).get('FaultData', {
+            deviceSearch: { id: deviceId },
+        }, { signal, priority });
 
-        const result = response.data.result;
         if (result) {
             // Sort fault codes by date, most recent first
             const sortedFaults = result.sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime));
@@ -39,13 +23,12 @@ export async function fetchFaultCodes(sessionInfo, deviceId) {
             const groupedFaults = groupFaultsByDiagnostic(sortedFaults);
 
             return groupedFaults;
-        } else if (response.data.error) {
-            console.error('Geotab API Error fetching fault codes:', response.data.error);
-            throw new Error(response.data.error.message || 'Failed to fetch fault codes.');
         }
         return [];
     } catch (err) {
-        console.error('Error fetching fault codes:', err);
+        if (!isCancellationError(err)) {
+            console.error('Error fetching fault codes:', err);
+        }
         throw err;
     }
 }
@@ -119,6 +102,173 @@ function groupFaultsByDiagnostic(faults) {
 }
 export { groupFaultsByDiagnostic }; // Exporting for internal use or if needed elsewhere
 
+// Records asked for per Get; Geotab caps a Get at 50,000 results
+const LOG_RECORD_PAGE_SIZE = 50000;
+
+/**
+ * Fetches the GPS log records of a device for a period, oldest first. Long periods are
+ * fetched in pages, each starting at the last record of the one before, so none are lost
+ * to Geotab's cap on the number of results.
+ * @param {object} sessionInfo - Geotab session information.
+ * @param {string} deviceId - The ID of the device.
+ * @param {string} fromDate - Start date in ISO format.
+ * @param {string} toDate - End date in ISO format.
+ * @param {object} options - Optional { signal } to cancel the request.
+ * @returns {Promise<Array>} A promise that resolves to an array of { latitude, longitude, speed, dateTime } points.
+ */
+export async function fetchLogRecords(sessionInfo, deviceId, fromDate, toDate, { signal } = {}) {
+    const client = getGeotabClient(sessionInfo);
+    const records = new Map();
+    let pageFrom = fromDate;
+
+    for (;;) {
+        const page = await client.get('LogRecord', {
+            deviceSearch: { id: deviceId },
+            fromDate: pageFrom,
+            toDate
+        }, { resultsLimit: LOG_RECORD_PAGE_SIZE, signal }) || [];
+
+        // Pages overlap at the record they start from
+        page.forEach(log => records.set(log.id ?? `${log.dateTime}|${log.latitude}|${log.longitude}`, log));
+        if (page.length < LOG_RECORD_PAGE_SIZE) break;
+
+        const last = page.reduce((latest, log) => (log.dateTime > latest ? log.dateTime : latest), pageFrom);
+        // A full page that all shares one time can't be paged past
+        if (last === pageFrom) {
+            console.warn(`More than ${LOG_RECORD_PAGE_SIZE} log records at ${last}; some were skipped.`);
+            break;
+        }
+        pageFrom = last;
+    }
+
+    // Filter out invalid points, keeping the time and speed of each for replay
+    return [...records.values()]
+        .filter(log => typeof log.latitude === 'number' && typeof log.longitude === 'number')
+        .map(log => ({ latitude: log.latitude, longitude: log.longitude, speed: log.speed ?? 0, dateTime: log.dateTime }))
+        .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+}
+
+/**
+ * Fetches the GPS log records of a trip, oldest first, for drawing and replaying it.
+ * @param {object} sessionInfo - Geotab session information.
+ * @param {object} trip - Trip summary with device, start and stop.
+ * @param {object} options - Optional { signal } to cancel the request.
+ * @returns {Promise<Array>} A promise that resolves to an array of { latitude, longitude, speed, dateTime } points.
+ */
+export async function fetchTripPoints(sessionInfo, trip, { signal } = {}) {
+    if (!trip || !trip.device || !trip.device.id || !trip.start || !trip.stop) {
+        console.warn("Invalid trip for fetching log records.", trip);
+        return [];
+    }
+
+    return fetchLogRecords(sessionInfo, trip.device.id, trip.start, trip.stop, { signal });
+}
+
+/**
+ * Calculates the initial compass bearing from one point to another.
+ * @param {object} from - Start point { latitude, longitude }.
+ * @param {object} to - End point { latitude, longitude }.
+ * @returns {number} Bearing in degrees clockwise from north (0-360).
+ */
+export function calculateBearing(from, to) {
+    const φ1 = from.latitude * Math.PI / 180;
+    const φ2 = to.latitude * Math.PI / 180;
+    const Δλ = (to.longitude - from.longitude) * Math.PI / 180;
+
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Works out where a vehicle was at a moment of a trip, interpolating between log records.
+ * @param {Array} points - Trip points from fetchTripPoints, oldest first.
+ * @param {number} time - Moment in ms since the epoch.
+ * @returns {object|null} { latitude, longitude, speed, bearing, index } where index is the last point passed.
+ */
+export function getTripPositionAt(points, time) {
+    if (!points || points.length === 0) return null;
+
+    // Binary search for the last point at or before the time
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (new Date(points[mid].dateTime).getTime() <= time) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    const current = points[low];
+    const next = points[Math.min(low + 1, points.length - 1)];
+    const start = new Date(current.dateTime).getTime();
+    const span = new Date(next.dateTime).getTime() - start;
+    const fraction = span > 0 ? Math.min(Math.max((time - start) / span, 0), 1) : 0;
+
+    // The heading is taken from the segment being driven, or the last one at the end of the trip
+    const previous = points[Math.max(low - 1, 0)];
+    const bearing = next !== current ? calculateBearing(current, next) : calculateBearing(previous, current);
+
+    return {
+        latitude: current.latitude + (next.latitude - current.latitude) * fraction,
+        longitude: current.longitude + (next.longitude - current.longitude) * fraction,
+        speed: current.speed + (next.speed - current.speed) * fraction,
+        bearing,
+        index: low,
+    };
+}
+
+// Speeds in km/h where the route colour changes, and the colours from slowest to fastest
+export const DEFAULT_SPEED_THRESHOLDS = [30, 60, 90];
+const SPEED_BAND_COLORS = ['#007bff', '#28a745', '#e0a800', '#fd7e14', '#dc3545'];
+
+/**
+ * Turns speed thresholds into the bands a trip route is coloured by.
+ * @param {Array<number>} thresholds - Speeds in km/h; at most four are used.
+ * @returns {Array} Bands { min, max, color, label }, slowest first; the last has no max.
+ */
+export function getSpeedBands(thresholds = DEFAULT_SPEED_THRESHOLDS) {
+    const limits = [...new Set(thresholds.filter(value => Number.isFinite(value) && value > 0))]
+        .sort((a, b) => a - b)
+        .slice(0, SPEED_BAND_COLORS.length - 1);
+    const bounds = [0, ...limits];
+
+    return bounds.map((min, index) => {
+        const max = bounds[index + 1] ?? null;
+        // Spread the colours so two bands still run from blue to red
+        const color = SPEED_BAND_COLORS[bounds.length === 1 ? 0 : Math.round(index * (SPEED_BAND_COLORS.length - 1) / (bounds.length - 1))];
+        return { min, max, color, label: max === null ? `${min}+ km/h` : `${min}-${max} km/h` };
+    });
+}
+
+/**
+ * Splits a trip into runs of consecutive points in the same speed band, so the route can be
+ * drawn with one line per run instead of one per segment. Each segment takes the band of the
+ * speed at its start, and each run ends on the first point of the next so there are no gaps.
+ * @param {Array} points - Trip points from fetchTripPoints, oldest first.
+ * @param {Array} bands - Bands from getSpeedBands.
+ * @returns {Array} Runs { band, points }.
+ */
+export function splitRouteBySpeed(points, bands) {
+    const runs = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const speed = points[i].speed || 0;
+        const band = bands.find(candidate => candidate.max === null || speed < candidate.max) || bands[bands.length - 1];
+        const current = runs[runs.length - 1];
+
+        if (current && current.band === band) {
+            current.points.push(points[i + 1]);
+        } else {
+            runs.push({ band, points: [points[i], points[i + 1]] });
+        }
+    }
+
+    return runs;
+}
+
 /**
  * Calculates the distance between two points on the Earth (Haversine formula).
  * @param {object} latlon1 - First point { latitude, longitude }.
@@ -141,6 +291,66 @@ export function calculateDistance(latlon1, latlon2) {
     return d;
 }
 
+/**
+ * Finds where a vehicle stopped during a trip by clustering consecutive slow log records
+ * that stay close together. The vehicle is taken to have left when the next record arrives,
+ * since devices log little while parked. A stop still under way at the last record is reported
+ * up to that record and flagged isOngoing, as it may have lasted longer.
+ * @param {Array} points - Trip points from fetchTripPoints, oldest first.
+ * @param {object} options - { maxSpeed } in km/h, { radius } in metres and { minDuration } in ms.
+ * @returns {Array} Stops { latitude, longitude, arrival, departure, duration, isOngoing } in the order visited.
+ */
+export function detectStops(points, { maxSpeed = 5, radius = 50, minDuration = 2 * 60 * 1000 } = {}) {
+    const stops = [];
+    let i = 0;
+
+    while (i < points.length) {
+        if ((points[i].speed || 0) > maxSpeed) {
+            i++;
+            continue;
+        }
+
+        // Grow the cluster while the vehicle stays slow and near where it first stopped
+        const first = points[i];
+        let j = i + 1;
+        while (j < points.length && (points[j].speed || 0) <= maxSpeed && calculateDistance(first, points[j]) <= radius) {
+            j++;
+        }
+
+        const cluster = points.slice(i, j);
+        const isOngoing = j === points.length;
+        const arrival = first.dateTime;
+        const departure = isOngoing ? points[j - 1].dateTime : points[j].dateTime;
+        const duration = new Date(departure) - new Date(arrival);
+
+        if (duration >= minDuration) {
+            stops.push({
+                latitude: cluster.reduce((sum, point) => sum + point.latitude, 0) / cluster.length,
+                longitude: cluster.reduce((sum, point) => sum + point.longitude, 0) / cluster.length,
+                arrival,
+                departure,
+                duration,
+                isOngoing,
+            });
+        }
+        i = j;
+    }
+
+    return stops;
+}
+
+/**
+ * Formats a length of time for display, e.g. "45 s", "12 min" or "1 h 05 min".
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string} Formatted duration.
+ */
+export function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return `${Math.max(0, Math.round(ms / 1000))} s`;
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
+
 /**
  * Checks if a point is inside a polygon using the ray-casting algorithm.
  * @param {object} point - Point to check { longitude, latitude }.
@@ -161,15 +371,200 @@ export function isPointInPolygon(point, polygon) {
     return inside;
 }
 
+// Size in degrees of the grid cells zones are indexed by, and the most cells one zone may fill
+// before it is checked for every point instead (e.g. a whole city or region)
+const ZONE_INDEX_CELL_SIZE = 0.1;
+const MAX_CELLS_PER_ZONE = 400;
+
+/**
+ * Splits a zone's points into rings of [latitude, longitude] pairs. Geotab closes a ring by
+ * repeating its first point, so points after that are read as further rings, which are holes in
+ * the first. Geotab itself has no holes, so this is only for checking and drawing zones imported
+ * that way; the geofence editor refuses to save them (see isDraftComplete in zoneUtils).
+ * @param {object} zone - Zone with points [{ x, y }].
+ * @returns {Array} Rings, outer boundary first, without their closing points.
+ */
+export function getZoneRings(zone) {
+    const rings = [];
+    let ring = [];
+    (zone.points || []).forEach(({ x, y }) => {
+        if (ring.length > 2 && ring[0][0] === y && ring[0][1] === x) {
+            rings.push(ring);
+            ring = [];
+        } else {
+            ring.push([y, x]);
+        }
+    });
+    if (ring.length > 2) rings.push(ring);
+    return rings;
+}
+
+// Makes a ring's longitudes continuous, so one crossing the antimeridian runs past ±180
+// instead of jumping across the world
+function unwrapRing(ring, referenceLongitude) {
+    let previous = referenceLongitude;
+    return ring.map(([latitude, longitude]) => {
+        let unwrapped = longitude;
+        while (unwrapped - previous > 180) unwrapped -= 360;
+        while (unwrapped - previous < -180) unwrapped += 360;
+        previous = unwrapped;
+        return [latitude, unwrapped];
+    });
+}
+
+// Area of a ring in square metres, on a flat projection around its first point
+function ringArea(ring) {
+    const metresPerDegree = 111320;
+    const cosLatitude = Math.cos(ring[0][0] * Math.PI / 180);
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        sum += (ring[j][1] * cosLatitude) * ring[i][0] - (ring[i][1] * cosLatitude) * ring[j][0];
+    }
+    return Math.abs(sum / 2) * metresPerDegree * metresPerDegree;
+}
+
+// Precomputes what the containment checks need: bounds, unwrapped rings and area
+function toZoneEntry(zone) {
+    if (zone.geometryType === 'Circle' && zone.center && zone.radius) {
+        const { latitude, longitude } = zone.center;
+        const latSpan = zone.radius / 111320;
+        const lngSpan = Math.min(180, zone.radius / (111320 * Math.max(Math.cos(latitude * Math.PI / 180), 0.01)));
+        return {
+            zone,
+            bounds: { minLat: latitude - latSpan, maxLat: latitude + latSpan, minLng: longitude - lngSpan, maxLng: longitude + lngSpan },
+            area: Math.PI * zone.radius * zone.radius,
+        };
+    }
+
+    const rings = getZoneRings(zone);
+    if (rings.length === 0) return null;
+    const [outer, ...holes] = rings.map(ring => unwrapRing(ring, rings[0][0][1]));
+    const latitudes = outer.map(point => point[0]);
+    const longitudes = outer.map(point => point[1]);
+
+    return {
+        zone,
+        outer,
+        holes,
+        bounds: {
+            minLat: Math.min(...latitudes),
+            maxLat: Math.max(...latitudes),
+            minLng: Math.min(...longitudes),
+            maxLng: Math.max(...longitudes),
+        },
+        area: Math.max(0, ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0)),
+    };
+}
+
+// Tests a point against a zone entry; longitude may be shifted by ±360 to match unwrapped rings
+function entryContains(entry, latitude, longitude) {
+    const { minLat, maxLat, minLng, maxLng } = entry.bounds;
+    if (latitude < minLat || latitude > maxLat || longitude < minLng || longitude > maxLng) return false;
+
+    if (!entry.outer) {
+        return calculateDistance({ latitude, longitude }, entry.zone.center) <= entry.zone.radius;
+    }
+    const point = { latitude, longitude };
+    return isPointInPolygon(point, entry.outer) && !entry.holes.some(hole => isPointInPolygon(point, hole));
+}
+
+const longitudeVariants = longitude => [longitude, longitude + 360, longitude - 360];
+
+/**
+ * Builds a grid index of zones so containment checks only test zones near a point.
+ * Rebuild it whenever the zones change.
+ * @param {Array} zones - Zones as returned by Get.
+ * @returns {object} Index for findContainingZones.
+ */
+export function createZoneIndex(zones) {
+    const cells = new Map();
+    const large = [];
+
+    zones.map(toZoneEntry).filter(Boolean).forEach(entry => {
+        const { minLat, maxLat, minLng, maxLng } = entry.bounds;
+        const [rowStart, rowEnd] = [minLat, maxLat].map(value => Math.floor(value / ZONE_INDEX_CELL_SIZE));
+        const [colStart, colEnd] = [minLng, maxLng].map(value => Math.floor(value / ZONE_INDEX_CELL_SIZE));
+
+        if ((rowEnd - rowStart + 1) * (colEnd - colStart + 1) > MAX_CELLS_PER_ZONE) {
+            large.push(entry);
+            return;
+        }
+        for (let row = rowStart; row <= rowEnd; row++) {
+            for (let col = colStart; col <= colEnd; col++) {
+                const key = `${row}:${col}`;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(entry);
+            }
+        }
+    });
+
+    return { cells, large };
+}
+
+/**
+ * Finds every zone containing a point, so nested zones (a depot inside a city) are all reported.
+ * @param {object} index - Index from createZoneIndex.
+ * @param {object} point - Point to check { latitude, longitude }.
+ * @returns {Array} Containing zones, smallest (most specific) first.
+ */
+export function findContainingZones(index, point) {
+    const matches = new Set();
+    const row = Math.floor(point.latitude / ZONE_INDEX_CELL_SIZE);
+
+    longitudeVariants(point.longitude).forEach(longitude => {
+        const candidates = [
+            ...(index.cells.get(`${row}:${Math.floor(longitude / ZONE_INDEX_CELL_SIZE)}`) || []),
+            ...index.large,
+        ];
+        candidates.forEach(entry => {
+            if (!matches.has(entry) && entryContains(entry, point.latitude, longitude)) {
+                matches.add(entry);
+            }
+        });
+    });
+
+    return [...matches].sort((a, b) => a.area - b.area).map(entry => entry.zone);
+}
+
+// Operating states of a vehicle on the fleet map, with their marker colours
+export const VEHICLE_STATES = {
+    driving: { label: 'Driving', color: '#28a745' },
+    idle: { label: 'Idling', color: '#e0a800' },
+    stopped: { label: 'Stopped', color: '#007bff' },
+    offline: { label: 'Not communicating', color: '#6c757d' },
+};
+
+// A device that hasn't reported for this long is treated as not communicating
+const OFFLINE_AFTER = 24 * 60 * 60 * 1000;
+
+/**
+ * Works out a vehicle's operating state from its DeviceStatusInfo.
+ * Geotab keeps isDriving set while the vehicle is stationary within a trip, which is idling;
+ * without isDriving, a stationary vehicle with the ignition on counts as idling.
+ * @param {object} status - DeviceStatusInfo of the vehicle (or the same fields).
+ * @param {number} now - Current time in ms.
+ * @returns {string} Key of VEHICLE_STATES
+ */
+export function getVehicleState(status, now = Date.now()) {
+    if (status.isDeviceCommunicating === false || now - new Date(status.dateTime).getTime() > OFFLINE_AFTER) {
+        return 'offline';
+    }
+    if (status.speed > 0) {
+        return 'driving';
+    }
+    return (status.isDriving ?? status.ignition) ? 'idle' : 'stopped';
+}
+
 /**
  * Fetches odometer data for a given device.
  * Tries multiple diagnostic IDs to find the latest odometer reading.
  * @param {object} sessionInfo - Geotab session information.
  * @param {string} deviceId - The ID of the device.
+ * @param {object} options - Optional { signal } to cancel the requests.
  * @returns {Promise<number|null>} A promise that resolves to the latest odometer reading in meters, or null if not found.
  */
-export async function fetchOdometer(sessionInfo, deviceId) {
-    const apiUrl = `https://${sessionInfo.server}/apiv1/`;
+export async function fetchOdometer(sessionInfo, deviceId, { signal } = {}) {
+    const client = getGeotabClient(sessionInfo);
     const diagnostics = [
         "DiagnosticOdometerId",
         "DiagnosticOBDOdometerReaderId",
@@ -180,55 +575,41 @@ export async function fetchOdometer(sessionInfo, deviceId) {
     const fromDate = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
     const toDate = new Date().toISOString();
 
-    let latestOdometer = null;
-
-    for (const diagId of diagnostics) {
-        try {
-            const response = await axios.post(apiUrl, {
-                jsonrpc: '2.0',
-                method: 'Get',
-                params: {
-                    typeName: 'StatusData',
-                    search: {
-                        deviceSearch: { id: deviceId },
-                        diagnosticSearch: { id: diagId },
-                        fromDate,
-                        toDate
-                    },
-                    credentials: {
-                        database: sessionInfo.database,
-                        userName: sessionInfo.userName,
-                        sessionId: sessionInfo.sessionId,
-                    },
-                },
-                id: Math.floor(Math.random() * 10000),
-            }, {
-                headers: { 'Content-Type': 'application/json' }
-            });
-
-            const result = response.data.result;
-            if (result && result.length > 0) {
-                const sorted = result.sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime));
-                if (sorted[0].data !== undefined && sorted[0].data !== null) {
-                    latestOdometer = sorted[0].data;
-                    break;
-                }
-            }
-        } catch (err) {
+    // Request every diagnostic at once so they share a single MultiCall
+    const results = await Promise.all(diagnostics.map(diagId =>
+        client.get('StatusData', {
+            deviceSearch: { id: deviceId },
+            diagnosticSearch: { id: diagId },
+            fromDate,
+            toDate
+        }, { signal }).catch(err => {
+            if (isCancellationError(err)) throw err;
             console.warn(`Could not fetch odometer for ${diagId}:`, err.message);
+            return null;
+        })
+    ));
+
+    // Diagnostics are in order of preference, so use the first one with a reading
+    for (const result of results) {
+        if (result && result.length > 0) {
+            const sorted = result.sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime));
+            if (sorted[0].data !== undefined && sorted[0].data !== null) {
+                return sorted[0].data;
+            }
         }
     }
-    return latestOdometer;
+    return null;
 }
 
 /**
  * Fetches fuel consumption and level data for a given device.
  * @param {object} sessionInfo - Geotab session information.
  * @param {string} deviceId - The ID of the device.
+ * @param {object} options - Optional { signal } to cancel the requests.
  * @returns {Promise<object>} A promise that resolves to an object containing total fuel, fuel level, and last updated time.
  */
-export async function fetchFuelConsumption(sessionInfo, deviceId) {
-    const apiUrl = `https://${sessionInfo.server}/apiv1/`;
+export async function fetchFuelConsumption(sessionInfo, deviceId, { signal } = {}) {
+    const client = getGeotabClient(sessionInfo);
 
     const fuelDiagnostics = [
         "DiagnosticDeviceTotalFuelId",
@@ -248,49 +629,37 @@ export async function fetchFuelConsumption(sessionInfo, deviceId) {
         lastUpdated: null
     };
 
-    for (const diagId of fuelDiagnostics) {
-        try {
-            const response = await axios.post(apiUrl, {
-                jsonrpc: '2.0',
-                method: 'Get',
-                params: {
-                    typeName: 'StatusData',
-                    search: {
-                        deviceSearch: { id: deviceId },
-                        diagnosticSearch: { id: diagId },
-                        fromDate,
-                        toDate
-                    },
-                    credentials: {
-                        database: sessionInfo.database,
-                        userName: sessionInfo.userName,
-                        sessionId: sessionInfo.sessionId,
-                    },
-                },
-                id: Math.floor(Math.random() * 10000),
-            }, {
-                headers: { 'Content-Type': 'application/json' }
-            });
-
-            const result = response.data.result;
-            if (result && result.length > 0) {
-                const sorted = result.sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime));
-                const latestReading = sorted[0];
-
-                if (latestReading.data !== undefined && latestReading.data !== null) {
-                    if (diagId.includes('TotalFuel') || diagId.includes('FuelUsed')) {
-                        fuelData.totalFuel = latestReading.data;
-                        fuelData.lastUpdated = latestReading.dateTime;
-                    } else if (diagId.includes('FuelLevel')) {
-                        fuelData.fuelLevel = latestReading.data;
-                        fuelData.lastUpdated = latestReading.dateTime;
-                    }
+    // Request every diagnostic at once so they share a single MultiCall
+    const results = await Promise.all(fuelDiagnostics.map(diagId =>
+        client.get('StatusData', {
+            deviceSearch: { id: deviceId },
+            diagnosticSearch: { id: diagId },
+            fromDate,
+            toDate
+        }, { signal }).catch(err => {
+            if (isCancellationError(err)) throw err;
+            console.warn(`Could not fetch fuel data for ${diagId}:`, err.message);
+            return null;
+        })
+    ));
+
+    fuelDiagnostics.forEach((diagId, index) => {
+        const result = results[index];
+        if (result && result.length > 0) {
+            const sorted = result.sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime));
+            const latestReading = sorted[0];
+
+            if (latestReading.data !== undefined && latestReading.data !== null) {
+                if (diagId.includes('TotalFuel') || diagId.includes('FuelUsed')) {
+                    fuelData.totalFuel = latestReading.data;
+                    fuelData.lastUpdated = latestReading.dateTime;
+                } else if (diagId.includes('FuelLevel')) {
+                    fuelData.fuelLevel = latestReading.data;
+                    fuelData.lastUpdated = latestReading.dateTime;
                 }
             }
-        } catch (err) {
-            console.warn(`Could not fetch fuel data for ${diagId}:`, err.message);
         }
-    }
+    });
 
     return fuelData;
 }
@@ -300,56 +669,30 @@ export async function fetchFuelConsumption(sessionInfo, deviceId) {
  * @param {object} sessionInfo - Geotab session information.
  * @param {string} deviceId - The ID of the device.
  * @param {number} hours - The period in hours for calculation (default 24).
+ * @param {object} options - Optional { signal, priority } to cancel the requests or defer them under rate limits.
  * @returns {Promise<object|null>} A promise that resolves to an object with efficiency, distance, fuelUsed, and period, or null if data is insufficient.
  */
-export async function calculateFuelEfficiency(sessionInfo, deviceId, hours = 24) {
-    const apiUrl = `https://${sessionInfo.server}/apiv1/`;
+export async function calculateFuelEfficiency(sessionInfo, deviceId, hours = 24, { signal, priority } = {}) {
     const fromDate = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
     const toDate = new Date().toISOString();
 
     try {
-        const response = await axios.post(apiUrl, {
-            jsonrpc: '2.0',
-            method: 'MultiCall',
-            params: {
-                calls: [
-                    {
-                        method: 'Get',
-                        params: {
-                            typeName: 'StatusData',
-                            search: {
-                                fromDate,
-                                toDate,
-                                diagnosticSearch: { id: 'DiagnosticOdometerAdjustmentId' },
-                                deviceSearch: { id: deviceId }
-                            }
-                        }
-                    },
-                    {
-                        method: 'Get',
-                        params: {
-                            typeName: 'StatusData',
-                            search: {
-                                fromDate,
-                                toDate,
-                                diagnosticSearch: { id: 'DiagnosticDeviceTotalFuelId' },
-                                deviceSearch: { id: deviceId }
-                            }
-                        }
-                    }
-                ],
-                credentials: {
-                    database: sessionInfo.database,
-                    userName: sessionInfo.userName,
-                    sessionId: sessionInfo.sessionId,
-                }
-            },
-            id: Math.floor(Math.random() * 10000),
-        }, {
-            headers: { 'Content-Type': 'application/json' }
-        });
-
-        const results = response.data.result;
+        const client = getGeotabClient(sessionInfo);
+        // Issued together so they are batched with any other calls made in the same tick
+        const results = await Promise.all([
+            client.get('StatusData', {
+                fromDate,
+                toDate,
+                diagnosticSearch: { id: 'DiagnosticOdometerAdjustmentId' },
+                deviceSearch: { id: deviceId }
+            }, { signal, priority }),
+            client.get('StatusData', {
+                fromDate,
+                toDate,
+                diagnosticSearch: { id: 'DiagnosticDeviceTotalFuelId' },
+                deviceSearch: { id: deviceId }
+            }, { signal, priority })
+        ]);
 
         if (results && results.length >= 2) {
             const odometerData = results[0];
@@ -379,6 +722,7 @@ export async function calculateFuelEfficiency(sessionInfo, deviceId, hours = 24)
             };
         }
     } catch (err) {
+        if (isCancellationError(err)) throw err;
         console.warn("Could not calculate fuel efficiency:", err.message);
     }
 
@@ -391,72 +735,39 @@ export async function calculateFuelEfficiency(sessionInfo, deviceId, hours = 24)
  * @param {string} deviceId - The ID of the device.
  * @param {string} fromDate - Start date in ISO format.
  * @param {string} toDate - End date in ISO format.
+ * @param {object} options - Optional { signal } to cancel the requests.
  * @returns {Promise<Array>} A promise that resolves to an array of accelerometer readings.
  */
-export async function fetchAccelerometerData(sessionInfo, deviceId, fromDate, toDate) {
-    const apiUrl = `https://${sessionInfo.server}/apiv1/`;
-
+export async function fetchAccelerometerData(sessionInfo, deviceId, fromDate, toDate, { signal } = {}) {
     try {
         // Use MultiCall to fetch accelerometer data from multiple diagnostics simultaneously
-        const response = await axios.post(apiUrl, {
-            jsonrpc: '2.0',
-            method: 'MultiCall',
-            params: {
-                calls: [
-                    // X-axis (Forward/Reverse acceleration)
-                    {
-                        method: 'Get',
-                        params: {
-                            typeName: 'StatusData',
-                            search: {
-                                deviceSearch: { id: deviceId },
-                                diagnosticSearch: { id: 'DiagnosticAccelerometerForwardGId' },
-                                fromDate: fromDate,
-                                toDate: toDate
-                            }
-                        }
-                    },
-                    // Y-axis (Left/Right acceleration) 
-                    {
-                        method: 'Get',
-                        params: {
-                            typeName: 'StatusData',
-                            search: {
-                                deviceSearch: { id: deviceId },
-                                diagnosticSearch: { id: 'DiagnosticAccelerometerRightGId' },
-                                fromDate: fromDate,
-                                toDate: toDate
-                            }
-                        }
-                    },
-                    // Z-axis (Up/Down acceleration)
-                    {
-                        method: 'Get',
-                        params: {
-                            typeName: 'StatusData',
-                            search: {
-                                deviceSearch: { id: deviceId },
-                                diagnosticSearch: { id: 'DiagnosticAccelerometerUpGId' },
-                                fromDate: fromDate,
-                                toDate: toDate
-                            }
-                        }
-                    }
-                ],
-                credentials: {
-                    database: sessionInfo.database,
-                    userName: sessionInfo.userName,
-                    sessionId: sessionInfo.sessionId,
-                }
-            },
-            id: Math.floor(Math.random() * 10000),
-        }, {
-            headers: { 'Content-Type': 'application/json' },
-            timeout: 60000 // 60 second timeout for potentially large datasets
+        const results = await getGeotabClient(sessionInfo).multiCall([
+            // X-axis (Forward/Reverse acceleration)
+            buildGetCall('StatusData', {
+                deviceSearch: { id: deviceId },
+                diagnosticSearch: { id: 'DiagnosticAccelerometerForwardGId' },
+                fromDate: fromDate,
+                toDate: toDate
+            }),
+            // Y-axis (Left/Right acceleration)
+            buildGetCall('StatusData', {
+                deviceSearch: { id: deviceId },
+                diagnosticSearch: { id: 'DiagnosticAccelerometerRightGId' },
+                fromDate: fromDate,
+                toDate: toDate
+            }),
+            // Z-axis (Up/Down acceleration)
+            buildGetCall('StatusData', {
+                deviceSearch: { id: deviceId },
+                diagnosticSearch: { id: 'DiagnosticAccelerometerUpGId' },
+                fromDate: fromDate,
+                toDate: toDate
+            })
+        ], {
+            timeout: 60000, // 60 second timeout for potentially large datasets
+            signal
         });
 
-        const results = response.data.result;
-
         if (!results || results.length < 3) {
             console.warn('Incomplete accelerometer data received');
             return [];
@@ -466,7 +777,7 @@ export async function fetchAccelerometerData(sessionInfo, deviceId, fromDate, to
 
         // If no data is available, try alternative diagnostic IDs
         if (!xAxisData.length && !yAxisData.length && !zAxisData.length) {
-            return await fetchAccelerometerDataAlternative(sessionInfo, deviceId, fromDate, toDate);
+            return await fetchAccelerometerDataAlternative(sessionInfo, deviceId, fromDate, toDate, { signal });
         }
 
         // Combine the data from all three axes by timestamp
@@ -475,14 +786,23 @@ export async function fetchAccelerometerData(sessionInfo, deviceId, fromDate, to
         return combinedData;
 
     } catch (err) {
+        if (isCancellationError(err)) throw err;
+
         console.error('Error fetching accelerometer data:', err);
+
+        // Alternative diagnostics won't help if the user, session or server is the problem
+        const geotabError = classifyGeotabError(err);
+        if (geotabError && geotabError.category !== 'request') {
+            throw err;
+        }
         
         // Try alternative method if primary fails
         try {
-            return await fetchAccelerometerDataAlternative(sessionInfo, deviceId, fromDate, toDate);
+            return await fetchAccelerometerDataAlternative(sessionInfo, deviceId, fromDate, toDate, { signal });
         } catch (altErr) {
+            if (isCancellationError(altErr)) throw altErr;
             console.error('Alternative accelerometer fetch also failed:', altErr);
-            throw new Error(`Failed to fetch accelerometer data: ${err.message}`);
+            throw new Error(`Failed to fetch accelerometer data: ${err.message}`, { cause: err });
         }
     }
 }
@@ -493,10 +813,10 @@ export async function fetchAccelerometerData(sessionInfo, deviceId, fromDate, to
  * @param {string} deviceId - The ID of the device.
  * @param {string} fromDate - Start date in ISO format.
  * @param {string} toDate - End date in ISO format.
+ * @param {object} options - Optional { signal } to cancel the requests.
  * @returns {Promise<Array>} A promise that resolves to an array of accelerometer readings.
  */
-async function fetchAccelerometerDataAlternative(sessionInfo, deviceId, fromDate, toDate) {
-    const apiUrl = `https://${sessionInfo.server}/apiv1/`;
+async function fetchAccelerometerDataAlternative(sessionInfo, deviceId, fromDate, toDate, { signal } = {}) {
 
     const alternativeDiagnostics = [
         'DiagnosticAccelerometerReverseGId',
@@ -509,35 +829,15 @@ async function fetchAccelerometerDataAlternative(sessionInfo, deviceId, fromDate
     ];
 
     try {
-        const response = await axios.post(apiUrl, {
-            jsonrpc: '2.0',
-            method: 'MultiCall',
-            params: {
-                calls: alternativeDiagnostics.map(diagId => ({
-                    method: 'Get',
-                    params: {
-                        typeName: 'StatusData',
-                        search: {
-                            deviceSearch: { id: deviceId },
-                            diagnosticSearch: { id: diagId },
-                            fromDate: fromDate,
-                            toDate: toDate
-                        }
-                    }
-                })),
-                credentials: {
-                    database: sessionInfo.database,
-                    userName: sessionInfo.userName,
-                    sessionId: sessionInfo.sessionId,
-                }
-            },
-            id: Math.floor(Math.random() * 10000),
-        }, {
-            headers: { 'Content-Type': 'application/json' },
-            timeout: 60000
-        });
-
-        const results = response.data.result;
+        const results = await getGeotabClient(sessionInfo).multiCall(
+            alternativeDiagnostics.map(diagId => buildGetCall('StatusData', {
+                deviceSearch: { id: deviceId },
+                diagnosticSearch: { id: diagId },
+                fromDate: fromDate,
+                toDate: toDate
+            })),
+            { timeout: 60000, signal }
+        );
         
         if (!results || results.length === 0) {
             return [];
@@ -556,6 +856,7 @@ async function fetchAccelerometerDataAlternative(sessionInfo, deviceId, fromDate
         }));
 
     } catch (err) {
+        if (isCancellationError(err)) throw err;
         console.error('Alternative accelerometer fetch failed:', err);
         return [];
     }
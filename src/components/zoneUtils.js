@@ -0,0 +1,243 @@
+// zoneUtils.js
+/**
+ * Converts Geotab Zones to and from the editable drafts used by the geofence editor,
+ * saves them back with Add, Set and Remove, and works out when vehicles entered and left them
+ */
+import { getGeotabClient } from './geotabClient';
+import { getZoneRings, createZoneIndex, findContainingZones } from './vehicleUtils';
+
+// Built-in zone types every database has
+export const ZONE_TYPES = [
+    { id: 'ZoneTypeCustomerId', label: 'Customer' },
+    { id: 'ZoneTypeOfficeId', label: 'Office' },
+    { id: 'ZoneTypeHomeId', label: 'Home' },
+];
+
+export const DEFAULT_ZONE_COLOR = '#646cff';
+
+// Sides of the polygon a circle is stored as, for MyGeotab which only knows polygons
+const CIRCLE_SIDES = 32;
+
+/**
+ * Creates an empty draft for a new zone.
+ * @param {string} geometryType - 'Polygon' or 'Circle'.
+ * @returns {Object} Draft { id, name, color, zoneType, geometryType, points, holes, center, radius, isDrawing }
+ */
+export function createZoneDraft(geometryType) {
+    return {
+        id: null,
+        name: '',
+        color: DEFAULT_ZONE_COLOR,
+        zoneType: ZONE_TYPES[0].id,
+        geometryType,
+        points: [],
+        holes: [],
+        center: null,
+        radius: 200,
+        isDrawing: true,
+    };
+}
+
+/**
+ * Turns a Zone into a draft the editor can change. Polygon points become [latitude, longitude]
+ * pairs without the closing point Geotab repeats at the end. Holes (see getZoneRings) are kept
+ * only so the draft draws like the zone; a draft with holes can't be saved.
+ * @param {Object} zone - Zone as returned by Get.
+ * @returns {Object} Draft (see createZoneDraft)
+ */
+export function zoneToDraft(zone) {
+    const isCircle = zone.geometryType === 'Circle' && zone.center && zone.radius;
+    const [points = [], ...holes] = isCircle ? [] : getZoneRings(zone);
+
+    return {
+        id: zone.id,
+        name: zone.name || '',
+        color: zone.color || DEFAULT_ZONE_COLOR,
+        zoneType: zone.zoneTypes?.[0]?.id || ZONE_TYPES[0].id,
+        geometryType: isCircle ? 'Circle' : 'Polygon',
+        points,
+        holes,
+        center: isCircle ? [zone.center.latitude, zone.center.longitude] : null,
+        radius: isCircle ? zone.radius : 200,
+        isDrawing: false,
+    };
+}
+
+/**
+ * Tells whether a draft has a name and a complete shape. Drafts of zones with holes are never
+ * complete, since Geotab would store the holes as one self-intersecting polygon.
+ * @param {Object} draft - Zone draft.
+ * @returns {boolean} True when the draft can be saved
+ */
+export function isDraftComplete(draft) {
+    if (!draft.name.trim() || draft.holes?.length > 0) return false;
+    return draft.geometryType === 'Circle'
+        ? Boolean(draft.center) && draft.radius > 0
+        : draft.points.length >= 3;
+}
+
+/**
+ * Approximates a circle with a closed polygon.
+ * @param {Array<number>} center - [latitude, longitude].
+ * @param {number} radius - Radius in metres.
+ * @returns {Array<Object>} Points { x, y } with the first repeated at the end
+ */
+export function circleToPoints(center, radius, sides = CIRCLE_SIDES) {
+    const [latitude, longitude] = center;
+    // Metres per degree; longitude degrees shrink towards the poles
+    const latSpan = radius / 111320;
+    const lngSpan = radius / (111320 * Math.cos(latitude * Math.PI / 180));
+
+    const points = Array.from({ length: sides }, (_, i) => {
+        const angle = (2 * Math.PI * i) / sides;
+        return { x: longitude + lngSpan * Math.sin(angle), y: latitude + latSpan * Math.cos(angle) };
+    });
+    return [...points, points[0]];
+}
+
+// '#rrggbb' to the { r, g, b, a } MyGeotab fills zones with
+function toFillColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, a: 191 };
+}
+
+/**
+ * Builds the Zone entity sent to Add or Set. Circles keep their center and radius for this
+ * app and are also stored as a polygon, so MyGeotab and rules see the same area.
+ * @param {Object} draft - Complete zone draft.
+ * @param {Object} original - The zone being edited, whose other fields are kept, or null for a new one.
+ * @returns {Object} Zone entity
+ */
+export function draftToZone(draft, original = null) {
+    const isCircle = draft.geometryType === 'Circle';
+    const points = isCircle
+        ? circleToPoints(draft.center, draft.radius)
+        : [...draft.points, draft.points[0]].map(([latitude, longitude]) => ({ x: longitude, y: latitude }));
+
+    const zone = {
+        ...(original || {
+            activeFrom: '1986-01-01T00:00:00.000Z',
+            activeTo: '2050-01-01T00:00:00.000Z',
+            groups: [{ id: 'GroupCompanyId' }],
+            displayed: true,
+            mustIdentifyStops: true,
+        }),
+        name: draft.name.trim(),
+        color: draft.color,
+        fillColor: toFillColor(draft.color),
+        zoneTypes: [{ id: draft.zoneType }],
+        geometryType: draft.geometryType,
+        points,
+    };
+
+    if (isCircle) {
+        zone.center = { latitude: draft.center[0], longitude: draft.center[1] };
+        zone.radius = Math.round(draft.radius);
+    } else {
+        delete zone.center;
+        delete zone.radius;
+    }
+    if (draft.id) zone.id = draft.id;
+    return zone;
+}
+
+/**
+ * Saves a draft as a new zone or over the zone it was made from.
+ * @param {Object} sessionInfo - Geotab session information.
+ * @param {Object} draft - Complete zone draft.
+ * @param {Object} original - The zone being edited, or null for a new one.
+ * @returns {Promise<string>} Promise that resolves to the zone id
+ */
+export async function saveZone(sessionInfo, draft, original = null) {
+    const client = getGeotabClient(sessionInfo);
+    const zone = draftToZone(draft, original);
+
+    if (zone.id) {
+        await client.set('Zone', zone);
+        return zone.id;
+    }
+    return client.add('Zone', zone);
+}
+
+/**
+ * Removes a zone.
+ * @param {Object} sessionInfo - Geotab session information.
+ * @param {string} zoneId - Id of the zone to remove.
+ * @returns {Promise} Promise that resolves when the zone is removed
+ */
+export function removeZone(sessionInfo, zoneId) {
+    return getGeotabClient(sessionInfo).remove('Zone', { id: zoneId });
+}
+
+/**
+ * Replays a vehicle's log records against the zones to find each time it entered and left one.
+ * A zone counts as entered at the first record inside it and left at the first record outside,
+ * and zones may overlap, so a vehicle can be in several at once. Visits already under way when
+ * the records start, or still under way when they end, are flagged rather than cut short.
+ * @param {Array} points - Log records from fetchLogRecords, oldest first.
+ * @param {Array} zones - Zones as returned by Get.
+ * @returns {Object} { events, summary } where events are { type: 'enter'|'exit', zone, dateTime,
+ *   latitude, longitude, duration } in time order (duration on exits only, in ms), and summary is
+ *   { zone, visits, duration } per zone visited, longest dwell first.
+ */
+export function detectZoneTransitions(points, zones) {
+    const events = [];
+    const zoneIndex = createZoneIndex(zones);
+    // Zone id -> the enter event of the visit under way
+    const inside = new Map();
+
+    points.forEach((point, index) => {
+        const containing = new Map(findContainingZones(zoneIndex, point).map(zone => [zone.id, zone]));
+
+        inside.forEach((visit, zoneId) => {
+            if (!containing.has(zoneId)) {
+                events.push({
+                    type: 'exit',
+                    zone: visit.zone,
+                    dateTime: point.dateTime,
+                    latitude: point.latitude,
+                    longitude: point.longitude,
+                    duration: new Date(point.dateTime) - new Date(visit.dateTime),
+                });
+                inside.delete(zoneId);
+            }
+        });
+
+        containing.forEach(zone => {
+            if (!inside.has(zone.id)) {
+                const enter = {
+                    type: 'enter',
+                    zone: { id: zone.id, name: zone.name },
+                    dateTime: point.dateTime,
+                    latitude: point.latitude,
+                    longitude: point.longitude,
+                    // Inside from the first record means it arrived before the period began
+                    isBeforePeriod: index === 0,
+                };
+                events.push(enter);
+                inside.set(zone.id, enter);
+            }
+        });
+    });
+
+    // Time in zones the vehicle never left counts up to the last record
+    const last = points[points.length - 1];
+    const summaries = new Map();
+    const addVisit = (zone, duration) => {
+        const summary = summaries.get(zone.id) || { zone, visits: 0, duration: 0 };
+        summary.visits += 1;
+        summary.duration += duration;
+        summaries.set(zone.id, summary);
+    };
+
+    events.filter(event => event.type === 'exit').forEach(event => addVisit(event.zone, event.duration));
+    inside.forEach(visit => {
+        visit.isStillInside = true;
+        addVisit(visit.zone, new Date(last.dateTime) - new Date(visit.dateTime));
+    });
+
+    return {
+        events,
+        summary: [...summaries.values()].sort((a, b) => b.duration - a.duration),
+    };
+}
@@ -5,6 +5,15 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // Same-origin route to the credential proxy (npm run proxy) for VITE_GEOTAB_PROXY_URL=/geotab-proxy
+  server: {
+    proxy: {
+      '/geotab-proxy': {
+        target: 'http://localhost:8788',
+        rewrite: (path) => path.replace(/^\/geotab-proxy/, ''),
+      },
+    },
+  },
   // This is the critical line.
   base: '/geotab-tracker/' 
 })